@@ -1,17 +1,60 @@
 /* eslint-disable no-underscore-dangle */
 import EventEmitter from 'events'
-import { Readable } from 'stream'
+import { PassThrough, Readable } from 'stream'
 
-export const exec = jest.fn((command, options, cb) => {
+const createChild = () => {
   const child = new EventEmitter()
+  child.kill = jest.fn()
+  child.stdin = new PassThrough()
   child.stderr = new Readable()
   child.stderr._read = jest.fn()
   child.stdout = new Readable()
   child.stdout._read = jest.fn()
+  return child
+}
+
+const succeed = cb => {
+  const child = createChild()
 
   process.nextTick(() => {
     cb(null, Buffer.from('stdout'), Buffer.from('stderr'))
   })
 
   return child
-})
+}
+
+export const exec = jest.fn((command, options, cb) => succeed(cb))
+
+export const execFile = jest.fn((file, args, options, cb) => succeed(cb))
+
+export const __failNextExec__ = ({ code = 1, signal = null } = {}) => {
+  execFile.mockImplementationOnce((file, args, options, cb) => {
+    const child = createChild()
+    const error = new Error(`Command failed: ${[file, ...args].join(' ')}`)
+    error.code = code
+    error.signal = signal
+
+    process.nextTick(() => {
+      cb(error, Buffer.from('stdout'), Buffer.from('stderr'))
+    })
+
+    return child
+  })
+}
+
+export const spawn = jest.fn(() => createChild())
+
+export const __hangNextExec__ = () => {
+  execFile.mockImplementationOnce((file, args, options, cb) => {
+    const child = createChild()
+    child.kill = jest.fn(() => {
+      const error = new Error(`Command failed: ${[file, ...args].join(' ')}`)
+      error.code = null
+      error.signal = 'SIGTERM'
+      process.nextTick(() => {
+        cb(error, Buffer.from('stdout'), Buffer.from('stderr'))
+      })
+    })
+    return child
+  })
+}
@@ -0,0 +1,148 @@
+import readline from 'readline'
+import { CommandError } from './errors'
+
+const asyncIterator = Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator')
+
+// Number of buffered lines above which output streams are paused.
+const HIGH_WATER_MARK = 1000
+
+/**
+ * Create an async iterator of lines read from several streams.
+ * Each line is yielded as an object: { host, stream, line }.
+ *
+ * @param {object[]} sources Sources: { input, host, stream }
+ * @param {Promise} [exited] Exit of the command, the iterator throws its rejection
+ * @returns {object} Async iterator
+ */
+export function iterateLines(sources, exited = Promise.resolve()) {
+  const events = []
+  const waiting = []
+  let open = sources.length
+  let error = null
+
+  const readers = sources.map(({ input }) =>
+    readline.createInterface({ input }),
+  )
+
+  const flush = () => {
+    while (waiting.length > 0 && (events.length > 0 || error || open === 0)) {
+      const { resolve, reject } = waiting.shift()
+      if (events.length > 0) resolve({ value: events.shift(), done: false })
+      else if (error) {
+        reject(error)
+        error = null
+      } else resolve({ value: undefined, done: true })
+    }
+    if (events.length < HIGH_WATER_MARK)
+      readers.forEach(reader => reader.resume())
+  }
+
+  readers.forEach((reader, index) => {
+    const { host, stream } = sources[index]
+    reader.on('line', line => {
+      events.push({ host, stream, line })
+      if (events.length >= HIGH_WATER_MARK)
+        readers.forEach(otherReader => otherReader.pause())
+      flush()
+    })
+    reader.on('close', () => {
+      open -= 1
+      flush()
+    })
+  })
+
+  exited.catch(exitError => {
+    error = exitError
+    flush()
+  })
+
+  return {
+    next: () =>
+      new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject })
+        flush()
+      }),
+    return: async () => {
+      events.length = 0
+      readers.forEach(reader => reader.close())
+      return { value: undefined, done: true }
+    },
+    [asyncIterator]() {
+      return this
+    },
+  }
+}
+
+class CommandStream {
+  /**
+   * Initialize a new `CommandStream` from a spawned child process.
+   * Output can be consumed using `stdout` and `stderr` streams
+   * or by iterating over lines using `for await`.
+   *
+   * @param {object} options Options
+   * @param {ChildProcess} options.child Child process
+   * @param {object} options.remote Remote
+   * @param {string} options.command Command
+   * @param {string} [options.sshCommand] Command executed locally
+   */
+  constructor({ child, remote, command, sshCommand }) {
+    this.child = child
+    this.remote = remote
+    this.stdout = child.stdout
+    this.stderr = child.stderr
+    this.exitCode = new Promise((resolve, reject) => {
+      child.on('error', error =>
+        reject(
+          new CommandError(
+            `Command "${command}" could not be started on host "${remote.host}": ${error.message}`,
+            { remote, command, sshCommand, code: error.code },
+          ),
+        ),
+      )
+      child.on('close', code => resolve(code))
+    })
+    // Start errors are also thrown by iterators, they must not be unhandled.
+    this.exitCode.catch(() => {})
+  }
+
+  [asyncIterator]() {
+    const { host } = this.remote
+    return iterateLines(
+      [
+        { input: this.stdout, host, stream: 'stdout' },
+        { input: this.stderr, host, stream: 'stderr' },
+      ],
+      this.exitCode,
+    )
+  }
+}
+
+export class CommandStreamGroup {
+  /**
+   * Initialize a new `CommandStreamGroup` from several `CommandStream`.
+   * Iterating over it yields lines of every stream as they come.
+   *
+   * @param {CommandStream[]} streams Streams
+   */
+  constructor(streams) {
+    this.streams = streams
+    this.exitCodes = Promise.all(streams.map(stream => stream.exitCode))
+    this.exitCodes.catch(() => {})
+  }
+
+  [asyncIterator]() {
+    return iterateLines(
+      this.streams.reduce(
+        (sources, { stdout, stderr, remote: { host } }) => [
+          ...sources,
+          { input: stdout, host, stream: 'stdout' },
+          { input: stderr, host, stream: 'stderr' },
+        ],
+        [],
+      ),
+      this.exitCodes,
+    )
+  }
+}
+
+export default CommandStream
@@ -0,0 +1,177 @@
+import EventEmitter from 'events'
+import { PassThrough } from 'stream'
+import CommandStream, {
+  CommandStreamGroup,
+  iterateLines,
+} from './CommandStream'
+import { CommandError } from './errors'
+
+const asyncIterator = Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator')
+
+const collect = async iterable => {
+  const iterator = iterable[asyncIterator]()
+  const values = []
+  const next = async () => {
+    const { value, done } = await iterator.next()
+    if (done) return values
+    values.push(value)
+    return next()
+  }
+  return next()
+}
+
+const createChild = () => {
+  const child = new EventEmitter()
+  child.stdout = new PassThrough()
+  child.stderr = new PassThrough()
+  return child
+}
+
+describe('CommandStream', () => {
+  describe('#iterateLines', () => {
+    it('should iterate over lines of every source', async () => {
+      const out = new PassThrough()
+      const err = new PassThrough()
+      const lines = collect(
+        iterateLines([
+          { input: out, host: 'host', stream: 'stdout' },
+          { input: err, host: 'host', stream: 'stderr' },
+        ]),
+      )
+      out.write('first line\nsecond ')
+      err.end('an error\n')
+      out.end('line')
+
+      expect(await lines).toEqual([
+        { host: 'host', stream: 'stdout', line: 'first line' },
+        { host: 'host', stream: 'stderr', line: 'an error' },
+        { host: 'host', stream: 'stdout', line: 'second line' },
+      ])
+    })
+
+    it('should stop when iteration is interrupted', async () => {
+      const input = new PassThrough()
+      const iterator = iterateLines([{ input, host: 'host', stream: 'stdout' }])
+      input.write('first line\n')
+      expect(await iterator.next()).toEqual({
+        value: { host: 'host', stream: 'stdout', line: 'first line' },
+        done: false,
+      })
+      await iterator.return()
+      expect(await iterator.next()).toEqual({ value: undefined, done: true })
+    })
+  })
+
+  describe('CommandStream', () => {
+    let child
+    let stream
+
+    beforeEach(() => {
+      child = createChild()
+      stream = new CommandStream({
+        child,
+        remote: { user: 'user', host: 'host' },
+        command: 'tail -f log',
+        sshCommand: "ssh user@host 'tail -f log'",
+      })
+    })
+
+    it('should expose child streams', () => {
+      expect(stream.child).toBe(child)
+      expect(stream.stdout).toBe(child.stdout)
+      expect(stream.stderr).toBe(child.stderr)
+    })
+
+    it('should be iterable', async () => {
+      const lines = collect(stream)
+      child.stdout.end('foo\n')
+      child.stderr.end('bar\n')
+      expect(await lines).toEqual([
+        { host: 'host', stream: 'stdout', line: 'foo' },
+        { host: 'host', stream: 'stderr', line: 'bar' },
+      ])
+    })
+
+    it('should resolve exit code', async () => {
+      child.emit('close', 3)
+      expect(await stream.exitCode).toBe(3)
+    })
+
+    it('should reject with a CommandError if child fails', async () => {
+      expect.assertions(3)
+      const error = new Error('spawn ssh ENOENT')
+      error.code = 'ENOENT'
+      child.emit('error', error)
+      try {
+        await stream.exitCode
+      } catch (streamError) {
+        expect(streamError).toBeInstanceOf(CommandError)
+        expect(streamError.host).toBe('host')
+        expect(streamError.code).toBe('ENOENT')
+      }
+    })
+
+    it('should throw start errors when iterating', async () => {
+      expect.assertions(2)
+      const lines = collect(stream)
+      child.emit('error', new Error('spawn /bin/sh ENOENT'))
+      child.stdout.end()
+      child.stderr.end()
+      try {
+        await lines
+      } catch (streamError) {
+        expect(streamError).toBeInstanceOf(CommandError)
+        expect(streamError.message).toMatch('could not be started')
+      }
+    })
+  })
+
+  describe('CommandStreamGroup', () => {
+    it('should merge streams', async () => {
+      const children = [createChild(), createChild()]
+      const group = new CommandStreamGroup(
+        ['a', 'b'].map(
+          (host, index) =>
+            new CommandStream({
+              child: children[index],
+              remote: { user: 'user', host },
+              command: 'tail -f log',
+            }),
+        ),
+      )
+
+      const lines = collect(group)
+      children[0].stdout.end('foo\n')
+      children[1].stdout.end('bar\n')
+      children[0].stderr.end()
+      children[1].stderr.end()
+      children[0].emit('close', 0)
+      children[1].emit('close', 1)
+
+      expect(await lines).toEqual([
+        { host: 'a', stream: 'stdout', line: 'foo' },
+        { host: 'b', stream: 'stdout', line: 'bar' },
+      ])
+      expect(await group.exitCodes).toEqual([0, 1])
+    })
+
+    it('should throw start errors when iterating', async () => {
+      expect.assertions(1)
+      const child = createChild()
+      const group = new CommandStreamGroup([
+        new CommandStream({
+          child,
+          remote: { user: 'user', host: 'a' },
+          command: 'tail -f log',
+        }),
+      ])
+      const lines = collect(group)
+      child.emit('error', new Error('spawn /bin/sh ENOENT'))
+      try {
+        await lines
+      } catch (streamError) {
+        expect(streamError).toBeInstanceOf(CommandError)
+      }
+    })
+  })
+})
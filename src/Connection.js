@@ -1,18 +1,89 @@
-import { exec } from 'child_process'
+import { exec, execFile } from 'child_process'
+import { EventEmitter } from 'events'
 import path from 'path'
+import { PassThrough } from 'stream'
 import LineWrapper from 'stream-line-wrapper'
 import { tmpName as asyncTmpName } from 'tmp'
-import { formatRsyncCommand, checkRsyncAvailability } from './commands/rsync'
-import { formatSshCommand } from './commands/ssh'
-import { formatTarCommand } from './commands/tar'
+import { formatTarArgs, formatTarCommand } from './commands/tar'
 import { formatCdCommand } from './commands/cd'
-import { formatMkdirCommand } from './commands/mkdir'
-import { formatScpCommand } from './commands/scp'
+import { formatMkdirArgs, formatMkdirCommand } from './commands/mkdir'
+import { formatScpArgs } from './commands/scp'
 import { formatRawCommand } from './commands/raw'
-import { formatRmCommand } from './commands/rm'
-import { joinCommandArgs } from './commands/util'
-import { parseRemote, formatRemote } from './remote'
-import { series, deprecateV3 } from './util'
+import { formatRmArgs, formatRmCommand } from './commands/rm'
+import { formatCatCommand } from './commands/cat'
+import { formatTeeCommand } from './commands/tee'
+import { formatExistsCommand } from './commands/exists'
+import { formatStatCommand, parseStatOutput } from './commands/stat'
+import { formatLsCommand, parseLsOutput } from './commands/ls'
+import { formatLnCommand } from './commands/ln'
+import { formatReadlinkCommand } from './commands/readlink'
+import { formatMvCommand } from './commands/mv'
+import { joinCommandArgs, quoteArgs, formatCommand } from './commands/util'
+import { parseRemote, parseProxyJump, formatRemotePath } from './remote'
+import { series, retry, deprecateV3, isReadable, spawnCommand } from './util'
+import {
+  CommandError,
+  SSHConnectionError,
+  TimeoutError,
+  AbortError,
+} from './errors'
+import CommandStream from './CommandStream'
+import { formatAskpassEnv } from './askpass'
+import { createTransport, OpenSSHTransport } from './transports'
+
+// Commands given as an array of arguments are executed without shell.
+function execCommand(cmd, options, callback) {
+  if (!Array.isArray(cmd)) return exec(cmd, options, callback)
+  const [file, ...args] = cmd.map(String)
+  return execFile(file, args, options, callback)
+}
+
+// Like `execCommand` but stdout is not buffered, it must be read by the caller.
+function spawnStderrOnly(cmd, options, callback) {
+  const { maxBuffer, ...spawnOptions } = options
+  const child = spawnCommand(cmd, spawnOptions)
+  const stderr = []
+  child.stderr.on('data', data => stderr.push(data))
+
+  let done = false
+  const finish = error => {
+    if (done) return
+    done = true
+    callback(error, Buffer.from([]), Buffer.concat(stderr))
+  }
+
+  child.on('error', finish)
+  child.on('close', (code, signal) => {
+    if (code === 0) {
+      finish(null)
+      return
+    }
+    const error = new Error(`Command failed: ${formatCommand(cmd)}`)
+    error.code = code
+    error.signal = signal
+    finish(error)
+  })
+  return child
+}
+
+// Resolved once output is written, standard outputs are never ended.
+function pipeStdout(stdout, writable) {
+  return new Promise((resolve, reject) => {
+    writable.once('error', reject)
+    if (writable === process.stdout || writable === process.stderr)
+      stdout.once('end', resolve)
+    else writable.once('finish', resolve)
+    stdout.pipe(writable)
+  })
+}
+
+// Input can be a string, a Buffer or a readable stream.
+function writeInput(stdin, input) {
+  // Errors are reported by the exit code of the command.
+  stdin.on('error', () => {})
+  if (isReadable(input)) input.pipe(stdin)
+  else stdin.end(input)
+}
 
 const tmpName = async options =>
   new Promise((resolve, reject) =>
@@ -22,24 +93,170 @@ const tmpName = async options =>
     }),
   )
 
+// Options that can be defined per remote, they override connection options.
+const REMOTE_OPTIONS = ['key', 'strict', 'asUser', 'proxyJump']
+
+function pickRemoteOptions(remote) {
+  return REMOTE_OPTIONS.reduce(
+    (options, name) =>
+      remote[name] === undefined
+        ? options
+        : { ...options, [name]: remote[name] },
+    {},
+  )
+}
+
 const defaultRunOptions = { maxBuffer: 1000 * 1024 }
 
-class Connection {
+// Commands recorded in dry run by several steps, custom transports may not record any.
+const concatCommands = results =>
+  results.reduce(
+    (commands, result) => [...commands, ...(result.commands || [])],
+    [],
+  )
+
+/**
+ * Format the name of a release from its date: "YYYYMMDDHHmmss" in UTC.
+ * Names are sorted like dates.
+ *
+ * @param {Date} [date] Date
+ * @returns {string} Name
+ */
+export function formatReleaseName(date = new Date()) {
+  return date.toISOString().replace(/\D/g, '').slice(0, 14)
+}
+
+function getReleasePaths(deployTo, release) {
+  const releases = path.posix.join(deployTo, 'releases')
+  return {
+    releases,
+    release: release && path.posix.join(releases, release),
+    current: path.posix.join(deployTo, 'current'),
+    shared: path.posix.join(deployTo, 'shared'),
+  }
+}
+
+// Secrets can be given directly or by a provider called with the remote.
+const resolveSecret = async (secret, remote) =>
+  typeof secret === 'function' ? secret(remote) : secret
+
+// Exit code used by ssh (and rsync over ssh) when the connection itself fails.
+const SSH_ERROR_CODE = 255
+
+// Sockets must not be in a shared directory, other users could take them over.
+// OpenSSH expands "~" in ControlPath.
+const defaultMultiplexOptions = {
+  controlPath: '~/.ssh/ssh-pool-%C',
+  controlPersist: '10m',
+}
+
+function getMultiplexOptions(multiplexOption) {
+  if (!multiplexOption) return {}
+  const { controlPath, controlPersist } =
+    multiplexOption === true
+      ? defaultMultiplexOptions
+      : { ...defaultMultiplexOptions, ...multiplexOption }
+  return { controlMaster: 'auto', controlPath, controlPersist }
+}
+
+const defaultRetryOptions = {
+  attempts: 3,
+  delay: 1000,
+  retryable: error => error instanceof SSHConnectionError,
+}
+
+function getRetryOptions(retryOption) {
+  if (!retryOption) return null
+  if (retryOption === true) return defaultRetryOptions
+  if (typeof retryOption === 'number')
+    return { ...defaultRetryOptions, attempts: retryOption }
+  return { ...defaultRetryOptions, ...retryOption }
+}
+
+function createInterruptionError(reason, details, timeout) {
+  const { remote, command } = details
+  if (reason === 'timeout') {
+    return new TimeoutError(
+      `Command "${command}" timed out on host "${remote.host}" after ${timeout}ms.`,
+      details,
+    )
+  }
+  return new AbortError(
+    `Command "${command}" aborted on host "${remote.host}".`,
+    details,
+  )
+}
+
+// scp reports a lost connection with exit code 1, it is detected from stderr.
+const SCP_CONNECTION_ERROR_REGEXP = /^(lost connection|ssh: )/m
+
+function isConnectionError({ code, scp, stderr }) {
+  if (code === SSH_ERROR_CODE) return true
+  return scp && code === 1 && SCP_CONNECTION_ERROR_REGEXP.test(String(stderr))
+}
+
+function createCommandError({ code, signal }, { ssh, scp, ...details }) {
+  const { remote, command } = details
+  if (ssh && isConnectionError({ code, scp, stderr: details.stderr })) {
+    return new SSHConnectionError(
+      `SSH connection to host "${remote.host}" failed while running "${command}".`,
+      { ...details, code, signal },
+    )
+  }
+  const reason = signal ? `killed by signal ${signal}` : `exit code ${code}`
+  return new CommandError(
+    `Command "${command}" failed on host "${remote.host}" (${reason}).`,
+    { ...details, code, signal },
+  )
+}
+
+class Connection extends EventEmitter {
   /**
    * Initialize a new `Connection` with `options`.
+   * Events are emitted with an object including "host" and "remote":
+   * "command:start", "command:stdout", "command:stderr", "command:end",
+   * "copy:start", "copy:end", "retry" and "error".
    *
    * @param {object} options Options
-   * @param {string|object} options.remote Remote
+   * @param {string|object} options.remote Remote, its options (key, strict, asUser, proxyJump) override connection ones
    * @param {Stream} [options.stdout] Stdout stream
    * @param {Stream} [options.stderr] Stderr stream
    * @param {string} [options.key] SSH key
    * @param {function} [options.log] Log method
    * @param {boolean} [options.asUser] Use a custom user to run command
+   * @param {number} [options.timeout] Default timeout of commands in milliseconds
+   * @param {AbortSignal} [options.signal] Default signal used to abort commands
+   * @param {boolean|number|object} [options.retry] Retry commands failing because of SSH connection
+   * @param {number} [options.retry.attempts] Maximum number of attempts (default 3)
+   * @param {number} [options.retry.delay] Delay before first retry in milliseconds (default 1000)
+   * @param {number} [options.retry.factor] Multiplier applied to delay after each retry (default 2)
+   * @param {number} [options.retry.jitter] Randomization factor of delay, between 0 and 1 (default 0.2)
+   * @param {function} [options.retry.retryable] Predicate telling if an error is retryable
+   * @param {string|object|Array.<string|object>} [options.proxyJump] Jump hosts used to reach the remote
+   * @param {string[]} [options.groups] Groups (roles) the connection belongs to
+   * @param {object} [options.tags] Custom tags, useful to filter connections of a pool
+   * @param {boolean|object} [options.multiplex] Share a single SSH connection between commands
+   * @param {string} [options.multiplex.controlPath] Path of the control socket
+   * @param {string} [options.multiplex.controlPersist] Time the master connection stays open when idle
+   * @param {boolean} [options.localShell] Run ssh, scp and rsync through a local shell
+   * @param {string|function} [options.password] Password, or a provider returning a promise
+   * @param {string|function} [options.passphrase] Passphrase of the key, or a provider returning a promise
+   * @param {boolean} [options.dryRun] Log and return command lines instead of executing them
+   * @param {string|function} [options.transport] Transport: "openssh" (default), "ssh2", "local" or a factory called with the connection
+   * @param {string} [options.knownHosts] File of known host keys checked by "ssh2" transport (default "~/.ssh/known_hosts")
    */
   constructor(options = {}) {
-    this.options = options
+    super()
     this.remote = parseRemote(options.remote)
+    this.options = { ...options, ...pickRemoteOptions(this.remote) }
     this.remote.user = this.remote.user || 'deploy'
+    this.proxyJump = parseProxyJump(this.options.proxyJump)
+    this.groups = this.options.groups || []
+    this.tags = this.options.tags || {}
+    this.transport = createTransport(
+      this.options.transport || this.remote.transport,
+      this,
+    )
   }
 
   /**
@@ -47,20 +264,116 @@ class Connection {
    * All exec options are also available.
    *
    * @see https://nodejs.org/dist/latest-v8.x/docs/api/child_process.html#child_process_child_process_exec_command_options_callback
-   * @param {string} command Command to run
+   * @param {string|string[]} command Command to run, arrays are quoted argument by argument
    * @param {object} [options] Options
    * @param {boolean} [options.tty] Force a TTY allocation.
+   * @param {number} [options.timeout] Kill the command after this delay in milliseconds.
+   * @param {AbortSignal} [options.signal] Kill the command when signal is aborted.
+   * @param {string|Buffer|Readable} [options.stdin] Input written to the command, streams prevent retries
+   * @param {Writable} [options.stdoutTo] Write raw stdout to this stream instead of buffering it, prevents retries
    * @returns {Promise.<object>} A promise with an object as result: { child, stdout, stderr }
    */
-  async run(command, { tty: ttyOption, ...cmdOptions } = {}) {
+  async run(rawCommand, { tty: ttyOption, ...cmdOptions } = {}) {
+    const command = formatCommand(rawCommand)
     let tty = ttyOption
     if (command.startsWith('sudo') && typeof ttyOption === 'undefined') {
       deprecateV3('You should set "tty" option explictly when you use "sudo".')
       tty = true
     }
     this.log('Running "%s" on host "%s".', command, this.remote.host)
-    const cmd = this.buildSSHCommand(command, { tty })
-    return this.runLocally(cmd, cmdOptions)
+    return this.transport.exec(command, { ...cmdOptions, tty })
+  }
+
+  /**
+   * Open the master connection when using "multiplex" option.
+   * It is automatically opened by the first command, but opening it
+   * explicitly allows to detect connection errors early.
+   *
+   * @param {object} [options] Exec options
+   * @returns {Promise.<object>} A promise with an object as result: { child, stdout, stderr }
+   */
+  async open(options) {
+    return this.transport.open(options)
+  }
+
+  /**
+   * Close the master connection when using "multiplex" option.
+   *
+   * @param {object} [options] Exec options
+   * @returns {Promise.<object>} A promise with an object as result: { child, stdout, stderr }
+   */
+  async close(options) {
+    return this.transport.close(options)
+  }
+
+  /**
+   * Run a command remotely using SSH and stream its output.
+   * Unlike `run`, output is not buffered, it must be consumed
+   * using `stdout` and `stderr` streams or by iterating over lines.
+   * All spawn options are also available.
+   *
+   * @see https://nodejs.org/dist/latest-v8.x/docs/api/child_process.html#child_process_child_process_spawn_command_args_options
+   * @param {string|string[]} command Command to run, arrays are quoted argument by argument
+   * @param {object} [options] Options
+   * @param {boolean} [options.tty] Force a TTY allocation.
+   * @param {string|Buffer|Readable} [options.stdin] Input written to the command
+   * @returns {CommandStream} A stream: { child, stdout, stderr, exitCode }
+   */
+  stream(rawCommand, { tty, stdout, stderr, stdin, ...cmdOptions } = {}) {
+    const command = formatCommand(rawCommand)
+    if (this.options.dryRun)
+      throw new Error('"stream" is not supported when using "dryRun" option.')
+    this.log('Streaming "%s" on host "%s".', command, this.remote.host)
+    const startedAt = Date.now()
+    const { child, sshCommand } = this.transport.stream(command, {
+      ...cmdOptions,
+      tty,
+    })
+    this.emitEvent('command:start', { command, sshCommand })
+    child.on('close', (code, signal) =>
+      this.emitEvent('command:end', {
+        command,
+        sshCommand,
+        code,
+        signal,
+        duration: Date.now() - startedAt,
+      }),
+    )
+    child.on('error', error => this.emitEvent('error', { command, error }))
+    if (stdin !== undefined) writeInput(child.stdin, stdin)
+    this.emitOutput(child, command)
+    this.pipeOutput(child, { stdout, stderr })
+    return new CommandStream({
+      child,
+      remote: this.remote,
+      command,
+      sshCommand,
+    })
+  }
+
+  /**
+   * Run a command remotely and get its raw stdout as a stream, useful to
+   * download dumps or archives. Output is not prefixed and not limited
+   * by "maxBuffer", the stream emits an error if the command fails.
+   * All exec options are also available.
+   *
+   * @param {string|string[]} command Command to run, arrays are quoted argument by argument
+   * @param {object} [options] Options
+   * @returns {Readable} A stream of stdout
+   */
+  download(rawCommand, options) {
+    if (this.options.dryRun)
+      throw new Error('"download" is not supported when using "dryRun" option.')
+    const output = new PassThrough()
+    const stdoutTo = new PassThrough()
+    // Output is ended once the command succeeded, an error is emitted otherwise.
+    stdoutTo.pipe(output, { end: false })
+    const drained = new Promise(resolve => stdoutTo.once('end', resolve))
+    Promise.all([this.run(rawCommand, { ...options, stdoutTo }), drained]).then(
+      () => output.end(),
+      error => output.emit('error', error),
+    )
+    return output
   }
 
   /**
@@ -88,7 +401,7 @@ class Connection {
   }
 
   /**
-   * Run a copy from the local to the remote using rsync.
+   * Run a copy from the local to the remote using the transport, rsync by default.
    * All exec options are also available.
    *
    * @see https://nodejs.org/dist/latest-v8.x/docs/api/child_process.html#child_process_child_process_exec_command_options_callback
@@ -100,12 +413,13 @@ class Connection {
    * @returns {Promise.<object>} A promise with an object as result: { child, stdout, stderr }
    */
   async copyToRemote(src, dest, options) {
-    const remoteDest = `${formatRemote(this.remote)}:${dest}`
-    return this.rsyncCopy(src, remoteDest, options)
+    return this.trackCopy('copyToRemote', src, dest, () =>
+      this.transport.copyToRemote(src, dest, options),
+    )
   }
 
   /**
-   * Run a copy from the remote to the local using rsync.
+   * Run a copy from the remote to the local using the transport, rsync by default.
    * All exec options are also available.
    *
    * @see https://nodejs.org/dist/latest-v8.x/docs/api/child_process.html#child_process_child_process_exec_command_options_callback
@@ -117,12 +431,14 @@ class Connection {
    * @returns {Promise.<object>} A promise with an object as result: { child, stdout, stderr }
    */
   async copyFromRemote(src, dest, options) {
-    const remoteSrc = `${formatRemote(this.remote)}:${src}`
-    return this.rsyncCopy(remoteSrc, dest, options)
+    return this.trackCopy('copyFromRemote', src, dest, () =>
+      this.transport.copyFromRemote(src, dest, options),
+    )
   }
 
   /**
    * Run a copy from the local to the remote using scp.
+   * Transports other than OpenSSH use their own copy.
    * All exec options are also available.
    *
    * @see https://nodejs.org/dist/latest-v8.x/docs/api/child_process.html#child_process_child_process_exec_command_options_callback
@@ -133,39 +449,32 @@ class Connection {
    * @returns {Promise.<object>} A promise with an object as result: { children, stdout, stderr }
    */
   async scpCopyToRemote(src, dest, { ignores, ...cmdOptions } = {}) {
+    // Only OpenSSH provides scp, other transports copy by themselves.
+    if (!(this.transport instanceof OpenSSHTransport))
+      return this.copyToRemote(src, dest, { ...cmdOptions, ignores })
     const archive = path.basename(await tmpName({ postfix: '.tar.gz' }))
     const srcDir = path.dirname(src)
-    const remoteDest = `${formatRemote(this.remote)}:${dest}`
+    const remoteDest = formatRemotePath(this.remote, dest)
 
-    const compress = joinCommandArgs([
-      formatCdCommand({ folder: srcDir }),
-      '&&',
-      formatTarCommand({
-        mode: 'compress',
-        file: path.basename(src),
-        archive,
-        excludes: ignores,
-      }),
-    ])
+    const compress = formatTarArgs({
+      mode: 'compress',
+      file: path.basename(src),
+      archive,
+      excludes: ignores,
+    })
 
     const createDestFolder = formatMkdirCommand({ folder: dest })
 
-    const copy = joinCommandArgs([
-      formatCdCommand({ folder: srcDir }),
-      '&&',
-      formatScpCommand({
-        port: this.remote.port,
-        key: this.options.key,
-        src: archive,
-        dest: remoteDest,
-      }),
-    ])
+    const copy = formatScpArgs({
+      port: this.remote.port,
+      key: this.options.key,
+      proxyJump: this.proxyJump,
+      ...getMultiplexOptions(this.options.multiplex),
+      src: archive,
+      dest: remoteDest,
+    })
 
-    const cleanSrc = joinCommandArgs([
-      formatCdCommand({ folder: srcDir }),
-      '&&',
-      formatRmCommand({ file: archive }),
-    ])
+    const cleanSrc = formatRmArgs({ file: archive })
 
     const extract = joinCommandArgs([
       formatCdCommand({ folder: dest }),
@@ -179,18 +488,25 @@ class Connection {
       formatRmCommand({ file: archive }),
     ])
 
-    return this.aggregate([
-      () => this.runLocally(compress, cmdOptions),
-      () => this.run(createDestFolder, cmdOptions),
-      () => this.runLocally(copy, cmdOptions),
-      () => this.runLocally(cleanSrc, cmdOptions),
-      () => this.run(extract, cmdOptions),
-      () => this.run(cleanDest, cmdOptions),
-    ])
+    return this.trackCopy('scpCopyToRemote', src, dest, () =>
+      this.aggregate(
+        [
+          options => this.executeIn(srcDir, compress, options),
+          options => this.run(createDestFolder, options),
+          options =>
+            this.executeIn(srcDir, copy, options, { ssh: true, scp: true }),
+          options => this.executeIn(srcDir, cleanSrc, options),
+          options => this.run(extract, options),
+          options => this.run(cleanDest, options),
+        ],
+        cmdOptions,
+      ),
+    )
   }
 
   /**
    * Run a copy from the remote to the local using scp.
+   * Transports other than OpenSSH use their own copy.
    * All exec options are also available.
    *
    * @see https://nodejs.org/dist/latest-v8.x/docs/api/child_process.html#child_process_child_process_exec_command_options_callback
@@ -201,10 +517,13 @@ class Connection {
    * @returns {Promise.<object>} A promise with an object as result: { children, stdout, stderr }
    */
   async scpCopyFromRemote(src, dest, { ignores, ...cmdOptions } = {}) {
+    // Only OpenSSH provides scp, other transports copy by themselves.
+    if (!(this.transport instanceof OpenSSHTransport))
+      return this.copyFromRemote(src, dest, { ...cmdOptions, ignores })
     const archive = path.basename(await tmpName({ postfix: '.tar.gz' }))
     const srcDir = path.dirname(src)
     const srcArchive = path.join(srcDir, archive)
-    const remoteSrcArchive = `${formatRemote(this.remote)}:${srcArchive}`
+    const remoteSrcArchive = formatRemotePath(this.remote, srcArchive)
 
     const compress = joinCommandArgs([
       formatCdCommand({ folder: srcDir }),
@@ -217,14 +536,20 @@ class Connection {
       }),
     ])
 
-    const createDestFolder = formatMkdirCommand({ folder: dest })
+    const createDestFolder = this.formatLocalCommand(
+      formatMkdirArgs({ folder: dest }),
+    )
 
-    const copy = formatScpCommand({
-      port: this.remote.port,
-      key: this.options.key,
-      src: remoteSrcArchive,
-      dest,
-    })
+    const copy = this.formatLocalCommand(
+      formatScpArgs({
+        port: this.remote.port,
+        key: this.options.key,
+        proxyJump: this.proxyJump,
+        ...getMultiplexOptions(this.options.multiplex),
+        src: remoteSrcArchive,
+        dest,
+      }),
+    )
 
     const cleanSrc = joinCommandArgs([
       formatCdCommand({ folder: srcDir }),
@@ -232,81 +557,433 @@ class Connection {
       formatRmCommand({ file: archive }),
     ])
 
-    const extract = joinCommandArgs([
-      formatCdCommand({ folder: dest }),
-      '&&',
-      formatTarCommand({ mode: 'extract', archive }),
-    ])
+    const extract = formatTarArgs({ mode: 'extract', archive })
 
-    const cleanDest = joinCommandArgs([
-      formatCdCommand({ folder: dest }),
-      '&&',
-      formatRmCommand({ file: archive }),
-    ])
+    const cleanDest = formatRmArgs({ file: archive })
 
-    return this.aggregate([
-      () => this.run(compress, cmdOptions),
-      () => this.runLocally(createDestFolder, cmdOptions),
-      () => this.runLocally(copy, cmdOptions),
-      () => this.run(cleanSrc, cmdOptions),
-      () => this.runLocally(extract, cmdOptions),
-      () => this.runLocally(cleanDest, cmdOptions),
-    ])
+    return this.trackCopy('scpCopyFromRemote', src, dest, () =>
+      this.aggregate(
+        [
+          options => this.run(compress, options),
+          options => this.runLocally(createDestFolder, options),
+          options => this.execute(copy, options, { ssh: true, scp: true }),
+          options => this.run(cleanSrc, options),
+          options => this.executeIn(dest, extract, options),
+          options => this.executeIn(dest, cleanDest, options),
+        ],
+        cmdOptions,
+      ),
+    )
   }
 
-  buildSSHCommand(command, options) {
-    return formatSshCommand({
-      port: this.remote.port,
-      key: this.options.key,
-      strict: this.options.strict,
-      tty: this.options.tty,
-      remote: formatRemote(this.remote),
-      command: formatRawCommand({ command, asUser: this.options.asUser }),
+  /**
+   * Read a remote file.
+   * All exec options are also available.
+   *
+   * @param {string} file File
+   * @param {object} [options] Options
+   * @param {string} [options.encoding] Return a string using this encoding instead of a Buffer
+   * @returns {Promise.<Buffer|string>} A promise with the content as result
+   */
+  async readFile(file, { encoding, ...options } = {}) {
+    if (this.options.dryRun)
+      throw new Error('"readFile" is not supported when using "dryRun" option.')
+    // Binary content must not be decoded, files are not limited by "maxBuffer".
+    const { stdout } = await this.run(formatCatCommand({ file }), {
+      maxBuffer: Infinity,
       ...options,
+      encoding: 'buffer',
     })
+    return encoding ? stdout.toString(encoding) : stdout
   }
 
-  async rsyncCopy(src, dest, { rsync, ignores, ...cmdOptions } = {}) {
-    this.log('Copy "%s" to "%s" via rsync', src, dest)
+  /**
+   * Write a remote file, data is sent using stdin.
+   * All exec options are also available.
+   *
+   * @param {string} file File
+   * @param {string|Buffer|Readable} data Content
+   * @param {object} [options] Options
+   * @returns {Promise.<object>} A promise with an object as result: { child, stdout, stderr }
+   */
+  async writeFile(file, data, options) {
+    return this.run(formatTeeCommand({ file }), { ...options, stdin: data })
+  }
 
-    const sshCommand = formatSshCommand({
+  /**
+   * Tell if a remote file exists.
+   * All exec options are also available.
+   *
+   * @param {string} file File
+   * @param {object} [options] Options
+   * @returns {Promise.<boolean>} A promise with true if the file exists
+   */
+  async exists(file, options) {
+    if (this.options.dryRun)
+      throw new Error('"exists" is not supported when using "dryRun" option.')
+    try {
+      await this.run(formatExistsCommand({ file }), options)
+      return true
+    } catch (error) {
+      if (error instanceof CommandError && error.code === 1) return false
+      throw error
+    }
+  }
+
+  /**
+   * Get the status of a remote file, symbolic links are not followed.
+   * All exec options are also available.
+   *
+   * @param {string} file File
+   * @param {object} [options] Options
+   * @returns {Promise.<object>} A promise with stats as result: { type, mode, permissions, size, uid, gid, user, group, mtime }
+   */
+  async stat(file, options) {
+    if (this.options.dryRun)
+      throw new Error('"stat" is not supported when using "dryRun" option.')
+    const { stdout } = await this.run(formatStatCommand({ file }), options)
+    return parseStatOutput(stdout)
+  }
+
+  /**
+   * List entries of a remote directory.
+   * All exec options are also available.
+   *
+   * @param {string} folder Directory
+   * @param {object} [options] Options
+   * @returns {Promise.<string[]>} A promise with entry names as result
+   */
+  async readdir(folder, options) {
+    if (this.options.dryRun)
+      throw new Error('"readdir" is not supported when using "dryRun" option.')
+    const { stdout } = await this.run(formatLsCommand({ folder }), options)
+    return parseLsOutput(stdout)
+  }
+
+  /**
+   * Create a remote symbolic link, an existing link is replaced.
+   * All exec options are also available.
+   *
+   * @param {string} target Target of the link
+   * @param {string} link Path of the link
+   * @param {object} [options] Options
+   * @returns {Promise.<object>} A promise with an object as result: { child, stdout, stderr }
+   */
+  async symlink(target, link, options) {
+    return this.run(formatLnCommand({ target, link }), options)
+  }
+
+  /**
+   * Read the target of a remote symbolic link.
+   * All exec options are also available.
+   *
+   * @param {string} link Path of the link
+   * @param {object} [options] Options
+   * @returns {Promise.<string>} A promise with the target as result
+   */
+  async readlink(link, options) {
+    if (this.options.dryRun)
+      throw new Error('"readlink" is not supported when using "dryRun" option.')
+    const { stdout } = await this.run(
+      formatReadlinkCommand({ file: link }),
+      options,
+    )
+    return stdout.toString().replace(/\n$/, '')
+  }
+
+  /**
+   * Remove a remote file, missing files are ignored.
+   * All exec options are also available.
+   *
+   * @param {string} file File
+   * @param {object} [options] Options
+   * @param {boolean} [options.recursive] Remove directories and their content
+   * @returns {Promise.<object>} A promise with an object as result: { child, stdout, stderr }
+   */
+  async remove(file, { recursive, ...options } = {}) {
+    return this.run(formatRmCommand({ file, recursive, force: true }), options)
+  }
+
+  /**
+   * Deploy a release: upload it, then atomically switch "current" link to it
+   * and remove old releases. The layout is "deployTo/releases/<release>",
+   * "deployTo/shared" and "deployTo/current".
+   * All exec options are also available.
+   *
+   * @param {string} src Local directory, its content is uploaded
+   * @param {string} deployTo Remote directory
+   * @param {object} [options] Options
+   * @param {string} [options.release] Name of the release, the date by default
+   * @param {string[]} [options.shared] Directories linked from "shared" in each release
+   * @param {number} [options.keepReleases] Number of releases to keep (default 5)
+   * @param {string[]} [options.ignores] Specify a list of files to ignore.
+   * @param {string[]|string} [options.rsync] Specify a set of rsync arguments.
+   * @returns {Promise.<object>} A promise with the release as result: { release, path }, and "commands" in dry run
+   */
+  async deployRelease(
+    src,
+    deployTo,
+    { keepReleases, release = formatReleaseName(), ...options } = {},
+  ) {
+    const { shared, ignores, rsync, ...cmdOptions } = options
+    const uploaded = await this.uploadRelease(src, deployTo, {
+      ...options,
+      release,
+    })
+    const result = await this.activateRelease(deployTo, release, cmdOptions)
+    // Releases to remove are read on the remote, pruning is skipped in dry run.
+    if (this.options.dryRun)
+      return { ...result, commands: concatCommands([uploaded, result]) }
+    await this.pruneReleases(deployTo, { ...cmdOptions, keepReleases })
+    return result
+  }
+
+  /**
+   * Upload a release and link its shared directories, without activating it.
+   * All exec options are also available.
+   *
+   * @param {string} src Local directory, its content is uploaded
+   * @param {string} deployTo Remote directory
+   * @param {object} options Options
+   * @param {string} options.release Name of the release
+   * @param {string[]} [options.shared] Directories linked from "shared" in the release
+   * @param {string[]} [options.ignores] Specify a list of files to ignore.
+   * @param {string[]|string} [options.rsync] Specify a set of rsync arguments.
+   * @returns {Promise.<object>} A promise with the release as result: { release, path }
+   */
+  async uploadRelease(
+    src,
+    deployTo,
+    { release, shared = [], ignores, rsync, ...options },
+  ) {
+    const paths = getReleasePaths(deployTo, release)
+    this.log('Uploading release "%s" on host "%s".', release, this.remote.host)
+    const results = [
+      await this.run(formatMkdirCommand({ folder: paths.release }), options),
+      // Trailing slash makes rsync copy the content of the directory.
+      await this.autoCopyToRemote(
+        `${src.replace(/\/+$/, '')}/`,
+        paths.release,
+        { ...options, ignores, rsync },
+      ),
+    ]
+
+    if (shared.length > 0) {
+      const linkShared = shared.map(folder => {
+        const sharedFolder = path.posix.join(paths.shared, folder)
+        const releaseFolder = path.posix.join(paths.release, folder)
+        return joinCommandArgs([
+          formatMkdirCommand({ folder: sharedFolder }),
+          '&&',
+          formatRmCommand({
+            file: releaseFolder,
+            recursive: true,
+            force: true,
+          }),
+          '&&',
+          formatMkdirCommand({ folder: path.posix.dirname(releaseFolder) }),
+          '&&',
+          formatLnCommand({ target: sharedFolder, link: releaseFolder }),
+        ])
+      })
+      results.push(await this.run(linkShared.join(' && '), options))
+    }
+
+    const uploaded = { release, path: paths.release }
+    if (!this.options.dryRun) return uploaded
+    return { ...uploaded, commands: concatCommands(results) }
+  }
+
+  /**
+   * Switch "current" link to a release, using a rename to be atomic.
+   * All exec options are also available.
+   *
+   * @param {string} deployTo Remote directory
+   * @param {string} release Name of the release
+   * @param {object} [options] Options
+   * @returns {Promise.<object>} A promise with the release as result: { release, path }
+   */
+  async activateRelease(deployTo, release, options) {
+    const paths = getReleasePaths(deployTo, release)
+    const tmpLink = `${paths.current}.${release}.tmp`
+    this.log('Activating release "%s" on host "%s".', release, this.remote.host)
+    const { commands } = await this.run(
+      joinCommandArgs([
+        formatLnCommand({ target: paths.release, link: tmpLink }),
+        '&&',
+        formatMvCommand({ src: tmpLink, dest: paths.current }),
+      ]),
+      options,
+    )
+    const activated = { release, path: paths.release }
+    return this.options.dryRun ? { ...activated, commands } : activated
+  }
+
+  /**
+   * List releases, from the oldest to the newest.
+   * All exec options are also available.
+   *
+   * @param {string} deployTo Remote directory
+   * @param {object} [options] Options
+   * @returns {Promise.<string[]>} A promise with names of releases as result
+   */
+  async listReleases(deployTo, options) {
+    const { releases } = getReleasePaths(deployTo)
+    if (!await this.exists(releases, options)) return []
+    const names = await this.readdir(releases, options)
+    return names.sort()
+  }
+
+  /**
+   * Get the release targeted by "current" link.
+   * All exec options are also available.
+   *
+   * @param {string} deployTo Remote directory
+   * @param {object} [options] Options
+   * @returns {Promise.<string|null>} A promise with the name of the release or null as result
+   */
+  async getCurrentRelease(deployTo, options) {
+    const { current } = getReleasePaths(deployTo)
+    try {
+      return path.posix.basename(await this.readlink(current, options))
+    } catch (error) {
+      if (error instanceof CommandError && error.code === 1) return null
+      throw error
+    }
+  }
+
+  /**
+   * Switch "current" link back to a previous release.
+   * All exec options are also available.
+   *
+   * @param {string} deployTo Remote directory
+   * @param {object} [options] Options
+   * @param {string} [options.release] Name of the release, the one before current by default
+   * @returns {Promise.<object>} A promise with the release as result: { release, path }
+   */
+  async rollbackRelease(deployTo, { release, ...options } = {}) {
+    if (this.options.dryRun)
+      throw new Error(
+        '"rollbackRelease" is not supported when using "dryRun" option.',
+      )
+    const { host } = this.remote
+    const releases = await this.listReleases(deployTo, options)
+    let target = release
+    if (target === undefined) {
+      const current = await this.getCurrentRelease(deployTo, options)
+      target = releases[releases.indexOf(current) - 1]
+      if (!current || !target)
+        throw new Error(`No release to roll back to on host "${host}".`)
+    } else if (!releases.includes(target)) {
+      throw new Error(`Release "${target}" not found on host "${host}".`)
+    }
+    return this.activateRelease(deployTo, target, options)
+  }
+
+  /**
+   * Remove old releases, the current one is always kept.
+   * All exec options are also available.
+   *
+   * @param {string} deployTo Remote directory
+   * @param {object} [options] Options
+   * @param {number} [options.keepReleases] Number of releases to keep (default 5)
+   * @returns {Promise.<string[]>} A promise with names of removed releases as result
+   */
+  async pruneReleases(deployTo, { keepReleases = 5, ...options } = {}) {
+    const releases = await this.listReleases(deployTo, options)
+    const current = await this.getCurrentRelease(deployTo, options)
+    const removed = releases
+      .slice(0, Math.max(releases.length - keepReleases, 0))
+      .filter(release => release !== current)
+    if (removed.length === 0) return removed
+    const paths = getReleasePaths(deployTo)
+    await this.run(
+      removed
+        .map(release =>
+          formatRmCommand({
+            file: path.posix.join(paths.releases, release),
+            recursive: true,
+            force: true,
+          }),
+        )
+        .join(' && '),
+      options,
+    )
+    return removed
+  }
+
+  getSSHOptions() {
+    return {
       port: this.remote.port,
       key: this.options.key,
       strict: this.options.strict,
       tty: this.options.tty,
-    })
+      proxyJump: this.proxyJump,
+      ...getMultiplexOptions(this.options.multiplex),
+    }
+  }
 
-    const cmd = formatRsyncCommand({
-      src,
-      dest,
-      remoteShell: sshCommand,
-      additionalArgs: typeof rsync === 'string' ? [rsync] : rsync,
-      excludes: ignores,
-    })
+  formatRemoteCommand(command) {
+    return formatRawCommand({ command, asUser: this.options.asUser })
+  }
 
-    return this.runLocally(cmd, cmdOptions)
+  // Arguments are joined in a string only when using the local shell.
+  formatLocalCommand(args) {
+    return this.options.localShell ? quoteArgs(args) : args
   }
 
   async autoCopyToRemote(src, dest, options) {
-    const rsyncAvailable = await checkRsyncAvailability()
-    const method = rsyncAvailable ? 'copyToRemote' : 'scpCopyToRemote'
+    const copyAvailable = await this.transport.canCopy()
+    const method = copyAvailable ? 'copyToRemote' : 'scpCopyToRemote'
     return this[method](src, dest, options)
   }
 
   async autoCopyFromRemote(src, dest, options) {
-    const rsyncAvailable = await checkRsyncAvailability()
-    const method = rsyncAvailable ? 'copyFromRemote' : 'scpCopyFromRemote'
+    const copyAvailable = await this.transport.canCopy()
+    const method = copyAvailable ? 'copyFromRemote' : 'scpCopyFromRemote'
     return this[method](src, dest, options)
   }
 
-  async aggregate(tasks) {
-    const results = await series(tasks)
+  /**
+   * Run tasks in series and aggregate their results.
+   * Tasks are called with exec options, "timeout" applies to the whole series.
+   *
+   * @param {function[]} tasks Tasks
+   * @param {object} [options] Options
+   * @returns {Promise.<object>} A promise with an object as result: { children, stdout, stderr }
+   */
+  async aggregate(
+    tasks,
+    {
+      timeout = this.options.timeout,
+      signal = this.options.signal,
+      ...options
+    } = {},
+  ) {
+    const { host } = this.remote
+    const deadline = timeout ? Date.now() + timeout : null
+    const results = await series(
+      tasks.map(task => async () => {
+        // Do not start remaining tasks if aborted or timed out.
+        if (signal && signal.aborted)
+          throw new AbortError(`Operation aborted on host "${host}".`, {
+            remote: this.remote,
+          })
+        const remaining = deadline ? deadline - Date.now() : undefined
+        if (remaining !== undefined && remaining <= 0)
+          throw new TimeoutError(
+            `Operation timed out on host "${host}" after ${timeout}ms.`,
+            { remote: this.remote },
+          )
+        return task({ ...options, signal, timeout: remaining })
+      }),
+    )
 
-    return results.reduce(
-      (aggregate, result) => ({
-        stdout: Buffer.concat([aggregate.stdout, result.stdout]),
-        stderr: Buffer.concat([aggregate.stderr, result.stderr]),
-        children: [...aggregate.children, result.child],
+    const aggregate = results.reduce(
+      (aggregated, result) => ({
+        stdout: Buffer.concat([aggregated.stdout, result.stdout]),
+        stderr: Buffer.concat([aggregated.stderr, result.stderr]),
+        children: [...aggregated.children, result.child],
       }),
       {
         stdout: Buffer.from([]),
@@ -314,38 +991,345 @@ class Connection {
         children: [],
       },
     )
+    if (!this.options.dryRun) return aggregate
+    return { ...aggregate, commands: concatCommands(results) }
   }
 
   log(...args) {
     if (this.options.log) this.options.log(...args)
   }
 
-  async runLocally(cmd, { stdout, stderr, ...cmdOptions } = {}) {
-    const stdoutPipe = this.options.stdout || stdout
-    const stderrPipe = this.options.stderr || stderr
+  /**
+   * Emit an event with host and remote.
+   * Unlike usual emitters, "error" is ignored when there is no listener.
+   *
+   * @param {string} event Event
+   * @param {object} payload Payload
+   */
+  emitEvent(event, payload) {
+    if (event === 'error' && this.listenerCount('error') === 0) return
+    this.emit(event, {
+      host: this.remote.host,
+      remote: this.remote,
+      ...payload,
+    })
+  }
+
+  // Output is only read when listened, streams could be consumed by other ways.
+  emitOutput(child, command) {
+    ;['stdout', 'stderr'].forEach(name => {
+      const event = `command:${name}`
+      if (this.listenerCount(event) === 0) return
+      child[name].on('data', data => this.emitEvent(event, { command, data }))
+    })
+  }
+
+  /**
+   * Emit "copy:start" and "copy:end" around a copy.
+   *
+   * @param {string} type Copy method
+   * @param {string} src Source
+   * @param {string} dest Destination
+   * @param {function} copy Copy, must return a promise
+   * @returns {Promise.<object>} A promise with the result of the copy
+   */
+  async trackCopy(type, src, dest, copy) {
+    const startedAt = Date.now()
+    const copyEnd = details =>
+      this.emitEvent('copy:end', {
+        type,
+        src,
+        dest,
+        duration: Date.now() - startedAt,
+        ...details,
+      })
+    this.emitEvent('copy:start', { type, src, dest })
+    try {
+      const result = await copy()
+      copyEnd()
+      return result
+    } catch (error) {
+      copyEnd({ error })
+      throw error
+    }
+  }
+
+  /**
+   * Run a command locally.
+   * All exec options are also available.
+   *
+   * @see https://nodejs.org/dist/latest-v8.x/docs/api/child_process.html#child_process_child_process_exec_command_options_callback
+   * @param {string|string[]} cmd Command to run, arrays of arguments are run without shell
+   * @param {object} [options] Options
+   * @param {Writable} [options.stdoutTo] Write raw stdout to this stream instead of buffering it
+   * @returns {Promise.<object>} A promise with an object as result: { child, stdout, stderr }
+   */
+  async runLocally(cmd, options) {
+    return this.execute(cmd, options)
+  }
+
+  // Run local command arguments from "cwd" directory.
+  async executeIn(cwd, args, options, context) {
+    if (this.options.localShell) {
+      const cmd = joinCommandArgs([
+        formatCdCommand({ folder: cwd }),
+        '&&',
+        quoteArgs(args),
+      ])
+      return this.execute(cmd, options, context)
+    }
+    return this.execute(args, { ...options, cwd }, context)
+  }
+
+  hasSecrets() {
+    const { password, passphrase } = this.options
+    return password !== undefined || passphrase !== undefined
+  }
+
+  /**
+   * Resolve password and passphrase, providers are called once.
+   *
+   * @returns {Promise.<object>} A promise with an object as result: { password, passphrase }
+   */
+  async resolveSecrets() {
+    const { password, passphrase } = this.options
+    if (!this.secrets) {
+      this.secrets = Promise.all([
+        resolveSecret(password, this.remote),
+        resolveSecret(passphrase, this.remote),
+      ]).catch(error => {
+        // Ask again on next command.
+        this.secrets = null
+        throw error
+      })
+    }
+    const [resolvedPassword, resolvedPassphrase] = await this.secrets
+    return { password: resolvedPassword, passphrase: resolvedPassphrase }
+  }
+
+  /**
+   * Add askpass environment to options if a password or a passphrase is defined.
+   *
+   * @param {object} [options] Exec options
+   * @returns {Promise.<object>} Exec options
+   */
+  async withSecrets(options = {}) {
+    if (!this.hasSecrets()) return options
+    const secrets = await this.resolveSecrets()
+    return { ...options, env: formatAskpassEnv(secrets, options.env) }
+  }
+
+  // Streams are spawned synchronously, providers are not supported.
+  withStaticSecrets(options = {}) {
+    const { password, passphrase } = this.options
+    if (!this.hasSecrets()) return options
+    if ([password, passphrase].some(secret => typeof secret === 'function'))
+      throw new Error(
+        'Password and passphrase providers are not supported by "stream".',
+      )
+    return {
+      ...options,
+      env: formatAskpassEnv({ password, passphrase }, options.env),
+    }
+  }
+
+  /**
+   * Execute a command, those reaching the remote are retried.
+   *
+   * @param {string|string[]} cmd Command to run, arrays of arguments are run without shell
+   * @param {object} [rawOptions] Exec options
+   * @param {object} [context] Context
+   * @param {string} [context.command] Command used in logs and errors
+   * @param {boolean} [context.ssh] Command reaches the remote
+   * @param {boolean} [context.scp] Command is scp, it may report connection errors with exit code 1
+   * @param {function} [context.exec] Executor with the signature of `child_process.exec`
+   * @returns {Promise.<object>} A promise with an object as result: { child, stdout, stderr }
+   */
+  async execute(cmd, rawOptions, context = {}) {
+    if (this.options.dryRun) return this.recordCommand(cmd, rawOptions)
+    try {
+      return await this.executeWithRetry(cmd, rawOptions, context)
+    } catch (error) {
+      this.emitEvent('error', {
+        command: context.command || formatCommand(cmd),
+        error,
+      })
+      throw error
+    }
+  }
+
+  async executeWithRetry(cmd, rawOptions, context) {
+    // Only wait for secrets if needed, commands are spawned synchronously otherwise.
+    // Custom executors authenticate by themselves.
+    const options =
+      context.ssh && !context.exec && this.hasSecrets()
+        ? await this.withSecrets(rawOptions)
+        : rawOptions
+    const retryOptions = getRetryOptions(this.options.retry)
+    const { stdin, stdoutTo } = options || {}
+    // A stream can only be read or written once.
+    if (!context.ssh || !retryOptions || isReadable(stdin) || stdoutTo)
+      return this.executeOnce(cmd, options, context)
+
+    const command = context.command || formatCommand(cmd)
+    return retry(() => this.executeOnce(cmd, options, context), {
+      ...retryOptions,
+      onRetry: (error, attempt, wait) => {
+        this.log(
+          'Retrying "%s" on host "%s" in %dms (attempt %d/%d): %s',
+          command,
+          this.remote.host,
+          wait,
+          attempt,
+          retryOptions.attempts,
+          error.message,
+        )
+        this.emitEvent('retry', {
+          command,
+          attempt,
+          attempts: retryOptions.attempts,
+          delay: wait,
+          error,
+        })
+      },
+    })
+  }
+
+  /**
+   * Log a command instead of executing it, used by "dryRun" option.
+   *
+   * @param {string|string[]} cmd Command that would be run
+   * @param {object} [options] Exec options
+   * @returns {Promise.<object>} A promise with an object as result: { child, stdout, stderr, commands }
+   */
+  async recordCommand(cmd, { cwd } = {}) {
+    const command = cwd
+      ? joinCommandArgs([
+          formatCdCommand({ folder: cwd }),
+          '&&',
+          formatCommand(cmd),
+        ])
+      : formatCommand(cmd)
+    this.log('Dry run on host "%s": %s', this.remote.host, command)
+    return {
+      child: null,
+      stdout: Buffer.from([]),
+      stderr: Buffer.from([]),
+      commands: [command],
+    }
+  }
+
+  async executeOnce(
+    cmd,
+    {
+      stdout,
+      stderr,
+      stdin,
+      stdoutTo,
+      timeout = this.options.timeout,
+      signal = this.options.signal,
+      ...cmdOptions
+    } = {},
+    { command, ssh = false, scp = false, exec: execFn = execCommand } = {},
+  ) {
+    // Default executor buffers stdout, it is spawned instead.
+    const executor =
+      stdoutTo && execFn === execCommand ? spawnStderrOnly : execFn
+    const details = {
+      remote: this.remote,
+      command: command || formatCommand(cmd),
+      sshCommand: ssh ? formatCommand(cmd) : undefined,
+    }
+
+    if (signal && signal.aborted)
+      throw createInterruptionError('abort', details, timeout)
+
+    const startedAt = Date.now()
+    this.emitEvent('command:start', {
+      command: details.command,
+      sshCommand: details.sshCommand,
+    })
 
     return new Promise((resolve, reject) => {
+      let interruption = null
+      let timer = null
+      let outputWritten = Promise.resolve()
+      let writeError = null
+
+      const interrupt = reason => {
+        if (interruption) return
+        interruption = reason
+        child.kill() // eslint-disable-line no-use-before-define
+      }
+      const onAbort = () => interrupt('abort')
+
       // Exec command.
-      const child = exec(
+      const child = executor(
         cmd,
         { ...defaultRunOptions, ...cmdOptions },
-        (err, cmdStdout, cmdStderr) => {
-          if (err) reject(err)
-          else resolve({ child, stdout: cmdStdout, stderr: cmdStderr })
-        },
+        (err, cmdStdout, cmdStderr) =>
+          outputWritten.then(() => {
+            clearTimeout(timer)
+            if (signal) signal.removeEventListener('abort', onAbort)
+            this.emitEvent('command:end', {
+              command: details.command,
+              sshCommand: details.sshCommand,
+              code: err ? err.code : 0,
+              signal: err ? err.signal : null,
+              duration: Date.now() - startedAt,
+            })
+
+            const output = { stdout: cmdStdout, stderr: cmdStderr }
+            if (writeError) {
+              reject(writeError)
+            } else if (interruption) {
+              const { code, signal: killSignal } = err || {}
+              const errorDetails = {
+                ...details,
+                ...output,
+                code,
+                signal: killSignal,
+              }
+              reject(
+                createInterruptionError(interruption, errorDetails, timeout),
+              )
+            } else if (err) {
+              reject(
+                createCommandError(err, { ssh, scp, ...details, ...output }),
+              )
+            } else resolve({ child, ...output })
+          }),
       )
 
-      if (stdoutPipe)
-        child.stdout
-          .pipe(new LineWrapper({ prefix: `@${this.remote.host} ` }))
-          .pipe(stdoutPipe)
+      if (timeout) timer = setTimeout(() => interrupt('timeout'), timeout)
+      if (signal) signal.addEventListener('abort', onAbort)
 
-      if (stderrPipe)
-        child.stderr
-          .pipe(new LineWrapper({ prefix: `@${this.remote.host}-err ` }))
-          .pipe(stderrPipe)
+      if (stdin !== undefined) writeInput(child.stdin, stdin)
+      if (stdoutTo)
+        outputWritten = pipeStdout(child.stdout, stdoutTo).catch(error => {
+          writeError = error
+          child.kill()
+        })
+      this.emitOutput(child, details.command)
+      this.pipeOutput(child, { stdout, stderr, stdoutTo })
     })
   }
+
+  // Stdout written to "stdoutTo" is kept raw.
+  pipeOutput(child, { stdout, stderr, stdoutTo }) {
+    const stdoutPipe = stdoutTo ? null : this.options.stdout || stdout
+    const stderrPipe = this.options.stderr || stderr
+
+    if (stdoutPipe)
+      child.stdout
+        .pipe(new LineWrapper({ prefix: `@${this.remote.host} ` }))
+        .pipe(stdoutPipe)
+
+    if (stderrPipe)
+      child.stderr
+        .pipe(new LineWrapper({ prefix: `@${this.remote.host}-err ` }))
+        .pipe(stderrPipe)
+  }
 }
 
 export default Connection
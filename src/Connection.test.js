@@ -1,8 +1,36 @@
 /* eslint-disable import/no-extraneous-dependencies */
+import { EventEmitter } from 'events'
+import { PassThrough } from 'stream'
 import stdMocks from 'std-mocks'
-import { exec } from 'child_process'
+import {
+  exec,
+  execFile,
+  spawn,
+  __failNextExec__,
+  __hangNextExec__,
+} from 'child_process'
 import { __setPaths__ } from 'whereis'
-import Connection from './Connection'
+import Connection, { formatReleaseName } from './Connection'
+import { CommandRecorder } from './testing'
+import {
+  CommandError,
+  SSHConnectionError,
+  TimeoutError,
+  AbortError,
+} from './errors'
+
+const createSignal = () => {
+  const listeners = []
+  return {
+    aborted: false,
+    addEventListener: jest.fn((type, listener) => listeners.push(listener)),
+    removeEventListener: jest.fn(),
+    abort() {
+      this.aborted = true
+      listeners.forEach(listener => listener())
+    },
+  }
+}
 
 jest.mock('child_process')
 jest.mock('whereis')
@@ -15,6 +43,8 @@ describe('Connection', () => {
 
   afterEach(() => {
     exec.mockClear()
+    execFile.mockClear()
+    spawn.mockClear()
     stdMocks.flush()
     stdMocks.restore()
   })
@@ -33,6 +63,17 @@ describe('Connection', () => {
       expect(connection.remote.user).toBe('user')
       expect(connection.remote.host).toBe('host')
     })
+
+    it('should use remote options', () => {
+      const connection = new Connection({
+        remote: 'ssh://user@host?key=%2Fpath%2Fto%2Fkey&asUser=www',
+        key: '/default/key',
+        strict: 'no',
+      })
+      expect(connection.options.key).toBe('/path/to/key')
+      expect(connection.options.asUser).toBe('www')
+      expect(connection.options.strict).toBe('no')
+    })
   })
 
   describe('#run', () => {
@@ -45,8 +86,9 @@ describe('Connection', () => {
     it('should call childProcess.exec', async () => {
       await connection.run('my-command -x', { cwd: '/root' })
 
-      expect(exec).toHaveBeenCalledWith(
-        'ssh user@host "my-command -x"',
+      expect(execFile).toHaveBeenCalledWith(
+        'ssh',
+        ['user@host', 'my-command -x'],
         {
           cwd: '/root',
           maxBuffer: 1024000,
@@ -55,11 +97,23 @@ describe('Connection', () => {
       )
     })
 
-    it('should escape double quotes', async () => {
-      await connection.run('echo "ok"', { cwd: '/root' })
+    it('should quote commands given as arguments', async () => {
+      await connection.run(['ls', '-la', '/my dir'])
 
-      expect(exec).toHaveBeenCalledWith(
-        'ssh user@host "echo \\"ok\\""',
+      expect(execFile).toHaveBeenCalledWith(
+        'ssh',
+        ['user@host', "ls -la '/my dir'"],
+        { maxBuffer: 1024000 },
+        expect.any(Function),
+      )
+    })
+
+    it('should escape quotes', async () => {
+      await connection.run(`echo "it's ok"`, { cwd: '/root' })
+
+      expect(execFile).toHaveBeenCalledWith(
+        'ssh',
+        ['user@host', `echo "it's ok"`],
         {
           cwd: '/root',
           maxBuffer: 1024000,
@@ -77,8 +131,9 @@ describe('Connection', () => {
     it('should handle sudo', async () => {
       await connection.run('sudo my-command -x', { cwd: '/root' })
 
-      expect(exec).toHaveBeenCalledWith(
-        'ssh -tt user@host "sudo my-command -x"',
+      expect(execFile).toHaveBeenCalledWith(
+        'ssh',
+        ['-tt', 'user@host', 'sudo my-command -x'],
         {
           cwd: '/root',
           maxBuffer: 1024000,
@@ -90,8 +145,9 @@ describe('Connection', () => {
     it('should handle tty', async () => {
       await connection.run('sudo my-command -x', { cwd: '/root', tty: true })
 
-      expect(exec).toHaveBeenCalledWith(
-        'ssh -tt user@host "sudo my-command -x"',
+      expect(execFile).toHaveBeenCalledWith(
+        'ssh',
+        ['-tt', 'user@host', 'sudo my-command -x'],
         {
           cwd: '/root',
           maxBuffer: 1024000,
@@ -104,13 +160,15 @@ describe('Connection', () => {
       await connection.run('my-command -x')
       await connection.run('my-command2 -x')
 
-      expect(exec).toHaveBeenCalledWith(
-        'ssh user@host "my-command -x"',
+      expect(execFile).toHaveBeenCalledWith(
+        'ssh',
+        ['user@host', 'my-command -x'],
         { maxBuffer: 1024000 },
         expect.any(Function),
       )
-      expect(exec).toHaveBeenCalledWith(
-        'ssh user@host "my-command2 -x"',
+      expect(execFile).toHaveBeenCalledWith(
+        'ssh',
+        ['user@host', 'my-command2 -x'],
         { maxBuffer: 1024000 },
         expect.any(Function),
       )
@@ -123,8 +181,9 @@ describe('Connection', () => {
       })
 
       await connection.run('my-command -x')
-      expect(exec).toHaveBeenCalledWith(
-        'ssh -i /path/to/key user@host "my-command -x"',
+      expect(execFile).toHaveBeenCalledWith(
+        'ssh',
+        ['-i', '/path/to/key', 'user@host', 'my-command -x'],
         { maxBuffer: 1024000 },
         expect.any(Function),
       )
@@ -133,8 +192,9 @@ describe('Connection', () => {
     it('should use port if present', async () => {
       connection = new Connection({ remote: 'user@host:12345' })
       await connection.run('my-command -x')
-      expect(exec).toHaveBeenCalledWith(
-        'ssh -p 12345 user@host "my-command -x"',
+      expect(execFile).toHaveBeenCalledWith(
+        'ssh',
+        ['-p', '12345', 'user@host', 'my-command -x'],
         { maxBuffer: 1024000 },
         expect.any(Function),
       )
@@ -146,8 +206,9 @@ describe('Connection', () => {
         strict: 'no',
       })
       await connection.run('my-command -x')
-      expect(exec).toHaveBeenCalledWith(
-        'ssh -o StrictHostKeyChecking=no user@host "my-command -x"',
+      expect(execFile).toHaveBeenCalledWith(
+        'ssh',
+        ['-o', 'StrictHostKeyChecking=no', 'user@host', 'my-command -x'],
         { maxBuffer: 1024000 },
         expect.any(Function),
       )
@@ -159,14 +220,15 @@ describe('Connection', () => {
         key: '/path/to/key',
       })
       await connection.run('my-command -x')
-      expect(exec).toHaveBeenCalledWith(
-        'ssh -p 12345 -i /path/to/key user@host "my-command -x"',
+      expect(execFile).toHaveBeenCalledWith(
+        'ssh',
+        ['-p', '12345', '-i', '/path/to/key', 'user@host', 'my-command -x'],
         { maxBuffer: 1024000 },
         expect.any(Function),
       )
     })
 
-    it.only('should log output', async () => {
+    it('should log output', async () => {
       const log = jest.fn()
       connection = new Connection({
         remote: 'user@host',
@@ -194,6 +256,71 @@ describe('Connection', () => {
       expect(output.stdout[0].toString()).toBe('@host first line\n')
       expect(output.stderr[0].toString()).toBe('@host-err an error\n')
     })
+
+    it('should reject with a CommandError', async () => {
+      expect.assertions(11)
+      __failNextExec__({ code: 2 })
+      try {
+        await connection.run('my-command -x')
+      } catch (error) {
+        expect(error).toBeInstanceOf(CommandError)
+        expect(error).not.toBeInstanceOf(SSHConnectionError)
+        expect(error.message).toBe(
+          'Command "my-command -x" failed on host "host" (exit code 2).',
+        )
+        expect(error.host).toBe('host')
+        expect(error.remote).toBe(connection.remote)
+        expect(error.command).toBe('my-command -x')
+        expect(error.sshCommand).toBe("ssh user@host 'my-command -x'")
+        expect(error.code).toBe(2)
+        expect(error.signal).toBe(null)
+        expect(error.stdout.toString()).toBe('stdout')
+        expect(error.stderr.toString()).toBe('stderr')
+      }
+    })
+
+    it('should report signal in CommandError', async () => {
+      expect.assertions(2)
+      __failNextExec__({ code: null, signal: 'SIGTERM' })
+      try {
+        await connection.run('my-command -x')
+      } catch (error) {
+        expect(error.message).toBe(
+          'Command "my-command -x" failed on host "host" (killed by signal SIGTERM).',
+        )
+        expect(error.signal).toBe('SIGTERM')
+      }
+    })
+
+    it('should reject with a SSHConnectionError on exit code 255', async () => {
+      expect.assertions(3)
+      __failNextExec__({ code: 255 })
+      try {
+        await connection.run('my-command -x')
+      } catch (error) {
+        expect(error).toBeInstanceOf(SSHConnectionError)
+        expect(error.message).toBe(
+          'SSH connection to host "host" failed while running "my-command -x".',
+        )
+        expect(error.code).toBe(255)
+      }
+    })
+  })
+
+  describe('#runLocally', () => {
+    it('should reject with a CommandError without sshCommand', async () => {
+      expect.assertions(4)
+      const connection = new Connection({ remote: 'user@host' })
+      __failNextExec__({ code: 255 })
+      try {
+        await connection.runLocally(['my-command', '-x'])
+      } catch (error) {
+        expect(error).toBeInstanceOf(CommandError)
+        expect(error).not.toBeInstanceOf(SSHConnectionError)
+        expect(error.command).toBe('my-command -x')
+        expect(error.sshCommand).toBe(undefined)
+      }
+    })
   })
 
   describe('#run asUser', () => {
@@ -209,8 +336,9 @@ describe('Connection', () => {
     it('should handle sudo as user correctly', async () => {
       await connection.run('my-command -x', { cwd: '/root', tty: true })
 
-      expect(exec).toHaveBeenCalledWith(
-        'ssh -tt user@host "sudo -u test my-command -x"',
+      expect(execFile).toHaveBeenCalledWith(
+        'ssh',
+        ['-tt', 'user@host', 'sudo -u test my-command -x'],
         {
           cwd: '/root',
           maxBuffer: 1000 * 1024,
@@ -222,8 +350,9 @@ describe('Connection', () => {
     it('should handle sudo as user without double sudo', () => {
       connection.run('sudo my-command -x', { cwd: '/root' })
 
-      expect(exec).toHaveBeenCalledWith(
-        'ssh -tt user@host "sudo -u test my-command -x"',
+      expect(execFile).toHaveBeenCalledWith(
+        'ssh',
+        ['-tt', 'user@host', 'sudo -u test my-command -x'],
         {
           cwd: '/root',
           maxBuffer: 1000 * 1024,
@@ -233,6 +362,1268 @@ describe('Connection', () => {
     })
   })
 
+  describe('#run with timeout or signal', () => {
+    let connection
+
+    beforeEach(() => {
+      connection = new Connection({ remote: 'user@host' })
+    })
+
+    it('should kill command and reject with a TimeoutError', async () => {
+      expect.assertions(6)
+      __hangNextExec__()
+      try {
+        await connection.run('my-command -x', { timeout: 10 })
+      } catch (error) {
+        expect(error).toBeInstanceOf(TimeoutError)
+        expect(error).toBeInstanceOf(CommandError)
+        expect(error.message).toBe(
+          'Command "my-command -x" timed out on host "host" after 10ms.',
+        )
+        expect(error.signal).toBe('SIGTERM')
+        expect(error.stdout.toString()).toBe('stdout')
+      }
+      expect(execFile).toHaveBeenCalledWith(
+        'ssh',
+        ['user@host', 'my-command -x'],
+        { maxBuffer: 1024000 },
+        expect.any(Function),
+      )
+    })
+
+    it('should use connection timeout', async () => {
+      expect.assertions(1)
+      connection = new Connection({ remote: 'user@host', timeout: 10 })
+      __hangNextExec__()
+      try {
+        await connection.run('my-command -x')
+      } catch (error) {
+        expect(error).toBeInstanceOf(TimeoutError)
+      }
+    })
+
+    it('should kill command and reject with an AbortError', async () => {
+      expect.assertions(3)
+      const signal = createSignal()
+      __hangNextExec__()
+      const promise = connection.run('my-command -x', { signal })
+      signal.abort()
+      try {
+        await promise
+      } catch (error) {
+        expect(error).toBeInstanceOf(AbortError)
+        expect(error.message).toBe(
+          'Command "my-command -x" aborted on host "host".',
+        )
+      }
+      expect(signal.removeEventListener).toHaveBeenCalled()
+    })
+
+    it('should not run command if already aborted', async () => {
+      expect.assertions(2)
+      const signal = createSignal()
+      signal.abort()
+      try {
+        await connection.run('my-command -x', { signal })
+      } catch (error) {
+        expect(error).toBeInstanceOf(AbortError)
+      }
+      expect(execFile).not.toHaveBeenCalled()
+    })
+
+    it('should stop remaining steps of a scp copy', async () => {
+      expect.assertions(2)
+      const signal = createSignal()
+      execFile.mockImplementationOnce(execFile.getMockImplementation())
+      __hangNextExec__()
+      const promise = connection.scpCopyToRemote('/a/b/c', '/x/y/z', {
+        signal,
+      })
+      await new Promise(resolve => setTimeout(resolve, 10))
+      signal.abort()
+      try {
+        await promise
+      } catch (error) {
+        expect(error).toBeInstanceOf(AbortError)
+      }
+      expect(execFile).toHaveBeenCalledTimes(2)
+    })
+
+    it('should apply timeout to the whole scp copy', async () => {
+      expect.assertions(2)
+      execFile.mockImplementationOnce((file, args, options, cb) => {
+        setTimeout(() => cb(null, Buffer.from(''), Buffer.from('')), 20)
+        return { kill: jest.fn(), stdout: null, stderr: null }
+      })
+      try {
+        await connection.scpCopyToRemote('/a/b/c', '/x/y/z', { timeout: 10 })
+      } catch (error) {
+        expect(error).toBeInstanceOf(TimeoutError)
+      }
+      expect(execFile).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('retry', () => {
+    let connection
+    let log
+
+    beforeEach(() => {
+      log = jest.fn()
+      connection = new Connection({
+        remote: 'user@host',
+        log,
+        retry: { attempts: 3, delay: 0 },
+      })
+    })
+
+    it('should retry command on SSH connection error', async () => {
+      __failNextExec__({ code: 255 })
+      __failNextExec__({ code: 255 })
+      const result = await connection.run('my-command -x')
+      expect(result.stdout.toString()).toBe('stdout')
+      expect(execFile).toHaveBeenCalledTimes(3)
+      expect(log).toHaveBeenCalledWith(
+        'Retrying "%s" on host "%s" in %dms (attempt %d/%d): %s',
+        'my-command -x',
+        'host',
+        0,
+        2,
+        3,
+        'SSH connection to host "host" failed while running "my-command -x".',
+      )
+    })
+
+    it('should give up after all attempts', async () => {
+      expect.assertions(2)
+      __failNextExec__({ code: 255 })
+      __failNextExec__({ code: 255 })
+      __failNextExec__({ code: 255 })
+      try {
+        await connection.run('my-command -x')
+      } catch (error) {
+        expect(error).toBeInstanceOf(SSHConnectionError)
+      }
+      expect(execFile).toHaveBeenCalledTimes(3)
+    })
+
+    it('should not retry remote command errors', async () => {
+      expect.assertions(2)
+      __failNextExec__({ code: 1 })
+      try {
+        await connection.run('my-command -x')
+      } catch (error) {
+        expect(error.code).toBe(1)
+      }
+      expect(execFile).toHaveBeenCalledTimes(1)
+    })
+
+    it('should retry rsync copies', async () => {
+      __failNextExec__({ code: 255 })
+      await connection.copyToRemote('/src/dir', '/dest/dir')
+      expect(execFile).toHaveBeenCalledTimes(2)
+    })
+
+    it('should retry scp copies losing the connection', async () => {
+      const execFileMock = execFile.getMockImplementation()
+      let scpFailed = false
+      execFile.mockImplementation((file, args, options, cb) => {
+        if (file !== 'scp' || scpFailed)
+          return execFileMock(file, args, options, cb)
+        scpFailed = true
+        const error = new Error('Command failed')
+        error.code = 1
+        setImmediate(() =>
+          cb(error, Buffer.from(''), Buffer.from('lost connection\n')),
+        )
+        return {}
+      })
+      try {
+        await connection.scpCopyToRemote('/a/b/c', '/x/y/z')
+        await connection.scpCopyFromRemote('/a/b/c', '/x/y/z')
+      } finally {
+        execFile.mockImplementation(execFileMock)
+      }
+      expect(
+        execFile.mock.calls.filter(([file]) => file === 'scp').length,
+      ).toBe(3)
+    })
+
+    it('should not retry scp errors not caused by the connection', async () => {
+      expect.assertions(2)
+      const execFileMock = execFile.getMockImplementation()
+      execFile.mockImplementation((file, args, options, cb) => {
+        if (file !== 'scp') return execFileMock(file, args, options, cb)
+        const error = new Error('Command failed')
+        error.code = 1
+        setImmediate(() =>
+          cb(error, Buffer.from(''), Buffer.from('scp: x: No such file\n')),
+        )
+        return {}
+      })
+      try {
+        await connection.scpCopyFromRemote('/a/b/c', '/x/y/z')
+      } catch (error) {
+        expect(error).not.toBeInstanceOf(SSHConnectionError)
+      } finally {
+        execFile.mockImplementation(execFileMock)
+      }
+      expect(
+        execFile.mock.calls.filter(([file]) => file === 'scp').length,
+      ).toBe(1)
+    })
+
+    it('should not retry local commands', async () => {
+      expect.assertions(1)
+      __failNextExec__({ code: 255 })
+      try {
+        await connection.runLocally(['my-command', '-x'])
+      } catch (error) {
+        expect(execFile).toHaveBeenCalledTimes(1)
+      }
+    })
+
+    it('should support a custom predicate', async () => {
+      connection = new Connection({
+        remote: 'user@host',
+        retry: { delay: 0, retryable: error => error.code === 1 },
+      })
+      __failNextExec__({ code: 1 })
+      await connection.run('my-command -x')
+      expect(execFile).toHaveBeenCalledTimes(2)
+    })
+
+    it('should support a number of attempts', async () => {
+      expect.assertions(1)
+      connection = new Connection({ remote: 'user@host', retry: 1 })
+      __failNextExec__({ code: 255 })
+      try {
+        await connection.run('my-command -x')
+      } catch (error) {
+        expect(execFile).toHaveBeenCalledTimes(1)
+      }
+    })
+  })
+
+  describe('multiplex', () => {
+    const control = [
+      '-o',
+      'ControlMaster=auto',
+      '-o',
+      'ControlPath=/tmp/%C',
+      '-o',
+      'ControlPersist=1m',
+    ]
+    let connection
+
+    beforeEach(() => {
+      connection = new Connection({
+        remote: 'user@host',
+        multiplex: { controlPath: '/tmp/%C', controlPersist: '1m' },
+      })
+    })
+
+    it('should use default control options', async () => {
+      connection = new Connection({ remote: 'user@host', multiplex: true })
+      await connection.run('my-command -x')
+      const controlPath = '~/.ssh/ssh-pool-%C'
+      expect(execFile).toHaveBeenCalledWith(
+        'ssh',
+        [
+          '-o',
+          'ControlMaster=auto',
+          '-o',
+          `ControlPath=${controlPath}`,
+          '-o',
+          'ControlPersist=10m',
+          'user@host',
+          'my-command -x',
+        ],
+        { maxBuffer: 1024000 },
+        expect.any(Function),
+      )
+    })
+
+    it('should multiplex commands', async () => {
+      await connection.run('my-command -x')
+      expect(execFile).toHaveBeenCalledWith(
+        'ssh',
+        [...control, 'user@host', 'my-command -x'],
+        { maxBuffer: 1024000 },
+        expect.any(Function),
+      )
+    })
+
+    it('should multiplex rsync copies', async () => {
+      await connection.copyToRemote('/src/dir', '/dest/dir')
+      expect(execFile).toHaveBeenCalledWith(
+        'rsync',
+        [
+          '--archive',
+          '--compress',
+          '--rsh',
+          `ssh ${control.join(' ')}`,
+          '/src/dir',
+          'user@host:/dest/dir',
+        ],
+        { maxBuffer: 1024000 },
+        expect.any(Function),
+      )
+    })
+
+    it('should multiplex scp copies', async () => {
+      await connection.scpCopyToRemote('/a/b/c', '/x/y/z')
+      expect(execFile.mock.calls[2].slice(0, 3)).toEqual([
+        'scp',
+        [...control, 'foo.tar.gz', 'user@host:/x/y/z'],
+        { maxBuffer: 1024000, cwd: '/a/b' },
+      ])
+    })
+
+    it('should open master connection', async () => {
+      await connection.open()
+      expect(execFile).toHaveBeenCalledWith(
+        'ssh',
+        [...control, 'user@host', 'true'],
+        { maxBuffer: 1024000 },
+        expect.any(Function),
+      )
+    })
+
+    it('should close master connection', async () => {
+      await connection.close()
+      expect(execFile).toHaveBeenCalledWith(
+        'ssh',
+        [...control, '-O', 'exit', 'user@host'],
+        { maxBuffer: 1024000 },
+        expect.any(Function),
+      )
+    })
+
+    it('should not open or close without "multiplex" option', async () => {
+      connection = new Connection({ remote: 'user@host' })
+      expect(await connection.open()).toBe(null)
+      expect(await connection.close()).toBe(null)
+      expect(execFile).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('password', () => {
+    it('should give secrets to ssh by environment', async () => {
+      const connection = new Connection({
+        remote: 'user@host',
+        password: 'secret',
+        passphrase: 'phrase',
+      })
+      await connection.run('my-command -x', { env: { FOO: 'bar' } })
+      const [file, args, { env }] = execFile.mock.calls[0]
+      expect([file, ...args].join(' ')).not.toMatch('secret')
+      expect(env).toEqual({
+        FOO: 'bar',
+        SSH_ASKPASS: expect.stringMatching(/askpass\.sh$/),
+        SSH_ASKPASS_REQUIRE: 'force',
+        DISPLAY: ':0',
+        SSH_POOL_PASSWORD: 'secret',
+        SSH_POOL_PASSPHRASE: 'phrase',
+      })
+    })
+
+    it('should give secrets to rsync and scp', async () => {
+      const connection = new Connection({
+        remote: 'user@host',
+        password: 'secret',
+      })
+      await connection.copyToRemote('/src/dir', '/dest/dir')
+      await connection.scpCopyToRemote('/a/b/c', '/x/y/z')
+      const envs = execFile.mock.calls.map(
+        call => (call[2].env || {}).SSH_POOL_PASSWORD,
+      )
+      expect(envs).toEqual([
+        'secret',
+        undefined,
+        'secret',
+        'secret',
+        undefined,
+        'secret',
+        'secret',
+      ])
+    })
+
+    it('should call provider once', async () => {
+      const password = jest.fn(async () => 'secret')
+      const connection = new Connection({ remote: 'user@host', password })
+      await connection.run('a')
+      await connection.run('b')
+      expect(password).toHaveBeenCalledTimes(1)
+      expect(password).toHaveBeenCalledWith(connection.remote)
+      expect(execFile.mock.calls[1][2].env.SSH_POOL_PASSWORD).toBe('secret')
+    })
+
+    it('should stream with secrets', () => {
+      const connection = new Connection({
+        remote: 'user@host',
+        password: 'secret',
+      })
+      connection.stream('tail -f log')
+      expect(spawn.mock.calls[0][2].env.SSH_POOL_PASSWORD).toBe('secret')
+    })
+
+    it('should not stream with a provider', () => {
+      const connection = new Connection({
+        remote: 'user@host',
+        password: async () => 'secret',
+      })
+      expect(() => connection.stream('tail -f log')).toThrow(
+        'Password and passphrase providers are not supported by "stream".',
+      )
+    })
+  })
+
+  describe('localShell', () => {
+    let connection
+
+    beforeEach(() => {
+      connection = new Connection({ remote: 'user@host', localShell: true })
+    })
+
+    it('should run ssh through local shell', async () => {
+      await connection.run('my-command -x')
+      expect(execFile).not.toHaveBeenCalled()
+      expect(exec).toHaveBeenCalledWith(
+        "ssh user@host 'my-command -x'",
+        { maxBuffer: 1024000 },
+        expect.any(Function),
+      )
+    })
+
+    it('should stream through local shell', () => {
+      connection.stream('tail -f log')
+      expect(spawn).toHaveBeenCalledWith("ssh user@host 'tail -f log'", {
+        shell: true,
+      })
+    })
+
+    it('should keep rsync arguments raw', async () => {
+      await connection.copyToRemote('/src/dir', '/dest/dir', {
+        rsync: '--rsync-path="sudo rsync"',
+      })
+      expect(exec).toHaveBeenCalledWith(
+        'rsync --archive --compress --rsync-path="sudo rsync" --rsh ssh /src/dir user@host:/dest/dir',
+        { maxBuffer: 1024000 },
+        expect.any(Function),
+      )
+    })
+
+    it('should change directory in scp commands', async () => {
+      await connection.scpCopyToRemote('/a/b/c', '/x/y/z')
+      expect(exec.mock.calls.map(([command]) => command)).toEqual([
+        'cd /a/b && tar -czf foo.tar.gz c',
+        "ssh user@host 'mkdir -p /x/y/z'",
+        'cd /a/b && scp foo.tar.gz user@host:/x/y/z',
+        'cd /a/b && rm foo.tar.gz',
+        "ssh user@host 'cd /x/y/z && tar --strip-components=1 -xzf foo.tar.gz'",
+        "ssh user@host 'cd /x/y/z && rm foo.tar.gz'",
+      ])
+    })
+  })
+
+  describe('stdin', () => {
+    const readInput = child =>
+      new Promise(resolve => {
+        const chunks = []
+        child.stdin.on('data', data => chunks.push(data))
+        child.stdin.on('end', () => resolve(Buffer.concat(chunks).toString()))
+      })
+
+    it('should write a string or a Buffer to the command', async () => {
+      const connection = new Connection({ remote: 'user@host' })
+      let result = await connection.run('psql', { stdin: 'SELECT 1;' })
+      expect(await readInput(result.child)).toBe('SELECT 1;')
+      result = await connection.run('psql', { stdin: Buffer.from('SELECT 2;') })
+      expect(await readInput(result.child)).toBe('SELECT 2;')
+      expect(execFile.mock.calls[0][2]).toEqual({ maxBuffer: 1024000 })
+    })
+
+    it('should pipe a stream to the command', async () => {
+      const connection = new Connection({ remote: 'user@host' })
+      const input = new PassThrough()
+      const result = await connection.run('psql', { stdin: input })
+      input.write('SELECT ')
+      input.end('1;')
+      expect(await readInput(result.child)).toBe('SELECT 1;')
+    })
+
+    it('should not retry commands reading a stream', async () => {
+      expect.assertions(2)
+      const connection = new Connection({
+        remote: 'user@host',
+        retry: { attempts: 3, delay: 0 },
+      })
+      __failNextExec__({ code: 255 })
+      try {
+        await connection.run('psql', { stdin: new PassThrough() })
+      } catch (error) {
+        expect(error).toBeInstanceOf(SSHConnectionError)
+        expect(execFile).toHaveBeenCalledTimes(1)
+      }
+    })
+
+    it('should write to streamed commands', async () => {
+      const connection = new Connection({ remote: 'user@host' })
+      const stream = connection.stream('psql', { stdin: 'SELECT 1;' })
+      expect(await readInput(stream.child)).toBe('SELECT 1;')
+      expect(spawn.mock.calls[0][2]).toEqual({})
+    })
+  })
+
+  describe('stdoutTo', () => {
+    const spawnNextChild = ({ stdout = 'dump', stderr = '', code = 0 } = {}) =>
+      spawn.mockImplementationOnce(() => {
+        const child = new EventEmitter()
+        child.kill = jest.fn()
+        child.stdin = new PassThrough()
+        child.stdout = new PassThrough()
+        child.stderr = new PassThrough()
+        setImmediate(() => {
+          child.stdout.end(stdout)
+          child.stderr.end(stderr)
+          child.emit('close', code, null)
+        })
+        return child
+      })
+
+    const readOutput = stream =>
+      new Promise((resolve, reject) => {
+        const chunks = []
+        stream.on('data', data => chunks.push(data))
+        stream.on('end', () => resolve(Buffer.concat(chunks).toString()))
+        stream.on('error', reject)
+      })
+
+    it('should write raw stdout to the stream without buffering it', async () => {
+      const connection = new Connection({ remote: 'user@host' })
+      const stdoutTo = new PassThrough()
+      const stdout = new PassThrough()
+      spawnNextChild({ stdout: 'line 1\nline 2\n' })
+      const output = readOutput(stdoutTo)
+      const result = await connection.run('pg_dump app', { stdoutTo, stdout })
+      expect(await output).toBe('line 1\nline 2\n')
+      expect(result.stdout.toString()).toBe('')
+      expect(stdout.read()).toBe(null)
+      expect(spawn).toHaveBeenCalledWith(
+        'ssh',
+        ['user@host', 'pg_dump app'],
+        {},
+      )
+      expect(execFile).not.toHaveBeenCalled()
+    })
+
+    it('should run local commands', async () => {
+      const connection = new Connection({ remote: 'user@host' })
+      const stdoutTo = new PassThrough()
+      spawnNextChild()
+      const output = readOutput(stdoutTo)
+      await connection.runLocally(['tar', '-czf', '-', 'app'], { stdoutTo })
+      expect(await output).toBe('dump')
+      expect(spawn).toHaveBeenCalledWith('tar', ['-czf', '-', 'app'], {})
+    })
+
+    it('should reject with a CommandError and end the stream', async () => {
+      expect.assertions(4)
+      const connection = new Connection({
+        remote: 'user@host',
+        retry: { attempts: 3, delay: 0 },
+      })
+      const stdoutTo = new PassThrough()
+      spawnNextChild({ stderr: 'Connection refused', code: 255 })
+      const output = readOutput(stdoutTo)
+      try {
+        await connection.run('pg_dump app', { stdoutTo })
+      } catch (error) {
+        expect(error).toBeInstanceOf(SSHConnectionError)
+        expect(error.stderr.toString()).toBe('Connection refused')
+        expect(await output).toBe('dump')
+        // Output already written can not be written again.
+        expect(spawn).toHaveBeenCalledTimes(1)
+      }
+    })
+
+    it('should kill the command if the stream fails', async () => {
+      expect.assertions(2)
+      const connection = new Connection({ remote: 'user@host' })
+      const stdoutTo = new PassThrough()
+      const child = new EventEmitter()
+      child.stdin = new PassThrough()
+      child.stdout = new PassThrough()
+      child.stderr = new PassThrough()
+      child.kill = jest.fn(() =>
+        setImmediate(() => child.emit('close', null, 'SIGTERM')),
+      )
+      spawn.mockImplementationOnce(() => child)
+      const run = connection.run('pg_dump app', { stdoutTo })
+      stdoutTo.emit('error', new Error('ENOSPC'))
+      try {
+        await run
+      } catch (error) {
+        expect(error.message).toBe('ENOSPC')
+        expect(child.kill).toHaveBeenCalled()
+      }
+    })
+
+    it('should download output as a stream', async () => {
+      const connection = new Connection({ remote: 'user@host' })
+      spawnNextChild({ stdout: 'archive' })
+      expect(await readOutput(connection.download('tar -czf - app'))).toBe(
+        'archive',
+      )
+    })
+
+    it('should emit an error when the download fails', async () => {
+      expect.assertions(2)
+      const connection = new Connection({ remote: 'user@host' })
+      spawnNextChild({ stderr: 'No such file', code: 2 })
+      try {
+        await readOutput(connection.download('tar -czf - app'))
+      } catch (error) {
+        expect(error).toBeInstanceOf(CommandError)
+        expect(error.code).toBe(2)
+      }
+    })
+  })
+
+  describe('file operations', () => {
+    let connection
+
+    const replyNextExec = ({ stdout = '', code = 0 } = {}) => {
+      execFile.mockImplementationOnce((file, args, options, cb) => {
+        const child = { stdin: { on: jest.fn(), end: jest.fn() } }
+        let error = null
+        if (code) {
+          error = new Error('Command failed')
+          error.code = code
+        }
+        setImmediate(() => cb(error, Buffer.from(stdout), Buffer.from('')))
+        return child
+      })
+    }
+
+    const lastRemoteCommand = () =>
+      execFile.mock.calls[execFile.mock.calls.length - 1][1][1]
+
+    beforeEach(() => {
+      connection = new Connection({ remote: 'user@host' })
+    })
+
+    it('should read files', async () => {
+      replyNextExec({ stdout: 'content' })
+      const content = await connection.readFile('/my file')
+      expect(content).toEqual(Buffer.from('content'))
+      expect(lastRemoteCommand()).toBe("cat '/my file'")
+      replyNextExec({ stdout: 'content' })
+      expect(await connection.readFile('/a', { encoding: 'utf8' })).toBe(
+        'content',
+      )
+    })
+
+    it('should read binary files without decoding them', async () => {
+      const binary = Buffer.from([0xff, 0xfe, 0x00, 0x80])
+      replyNextExec({ stdout: binary })
+      expect(await connection.readFile('/image.png')).toEqual(binary)
+      expect(execFile.mock.calls[0][2]).toEqual({
+        maxBuffer: Infinity,
+        encoding: 'buffer',
+      })
+    })
+
+    it('should write files using stdin', async () => {
+      let input = ''
+      execFile.mockImplementationOnce((file, args, options, cb) => {
+        const child = { stdin: { on: jest.fn(), end: jest.fn() } }
+        child.stdin.end.mockImplementation(data => {
+          input = data
+          setImmediate(() => cb(null, Buffer.from(''), Buffer.from('')))
+        })
+        return child
+      })
+      await connection.writeFile('/etc/app.conf', 'key=value')
+      expect(lastRemoteCommand()).toBe('tee /etc/app.conf > /dev/null')
+      expect(input).toBe('key=value')
+      expect(execFile.mock.calls[0][2]).toEqual({ maxBuffer: 1024000 })
+    })
+
+    it('should write files as user', async () => {
+      connection = new Connection({ remote: 'user@host', asUser: 'www' })
+      await connection.writeFile('/app.conf', Buffer.from('key=value'))
+      expect(lastRemoteCommand()).toBe('sudo -u www tee /app.conf > /dev/null')
+    })
+
+    it('should tell if a file exists', async () => {
+      expect(await connection.exists('/a')).toBe(true)
+      expect(lastRemoteCommand()).toBe('test -e /a')
+      replyNextExec({ code: 1 })
+      expect(await connection.exists('/a')).toBe(false)
+    })
+
+    it('should throw other errors when checking existence', async () => {
+      expect.assertions(1)
+      replyNextExec({ code: 255 })
+      try {
+        await connection.exists('/a')
+      } catch (error) {
+        expect(error).toBeInstanceOf(SSHConnectionError)
+      }
+    })
+
+    it('should stat files', async () => {
+      replyNextExec({ stdout: '41ed 4096 1000 1000 1500000000 user user\n' })
+      const stats = await connection.stat('/app')
+      expect(lastRemoteCommand()).toBe("stat -c '%f %s %u %g %Y %U %G' /app")
+      expect(stats).toMatchObject({
+        type: 'directory',
+        permissions: 0o755,
+        user: 'user',
+      })
+    })
+
+    it('should read directories', async () => {
+      replyNextExec({ stdout: '1\n2\n' })
+      expect(await connection.readdir('/app/releases')).toEqual(['1', '2'])
+      expect(lastRemoteCommand()).toBe('ls -1A /app/releases')
+    })
+
+    it('should create and read symbolic links', async () => {
+      await connection.symlink('/app/releases/2', '/app/current')
+      expect(lastRemoteCommand()).toBe('ln -nfs /app/releases/2 /app/current')
+      replyNextExec({ stdout: '/app/releases/2\n' })
+      expect(await connection.readlink('/app/current')).toBe('/app/releases/2')
+      expect(lastRemoteCommand()).toBe('readlink /app/current')
+    })
+
+    it('should remove files', async () => {
+      await connection.remove('/app/tmp')
+      expect(lastRemoteCommand()).toBe('rm -f /app/tmp')
+      await connection.remove('/app/releases/1', { recursive: true })
+      expect(lastRemoteCommand()).toBe('rm -r -f /app/releases/1')
+    })
+  })
+
+  describe('releases', () => {
+    let recorder
+    let connection
+
+    beforeEach(() => {
+      recorder = new CommandRecorder()
+      connection = new Connection({
+        remote: 'user@host',
+        transport: recorder.transport,
+      })
+    })
+
+    it('should format release names from dates', () => {
+      expect(formatReleaseName(new Date(Date.UTC(2017, 8, 5, 7, 3, 9)))).toBe(
+        '20170905070309',
+      )
+    })
+
+    it('should deploy a release', async () => {
+      recorder
+        .reply('ls -1A /app/releases', { stdout: '1\n2\n3\n' })
+        .reply('readlink /app/current', { stdout: '/app/releases/3\n' })
+      const result = await connection.deployRelease('/build/', '/app', {
+        release: '3',
+        shared: ['log', 'public/uploads'],
+        keepReleases: 2,
+        ignores: ['.git'],
+      })
+      expect(result).toEqual({ release: '3', path: '/app/releases/3' })
+      expect(recorder.getOperations()).toEqual([
+        { host: 'host', type: 'exec', command: 'mkdir -p /app/releases/3' },
+        {
+          host: 'host',
+          type: 'copyToRemote',
+          src: '/build/',
+          dest: '/app/releases/3',
+          ignores: ['.git'],
+        },
+        {
+          host: 'host',
+          type: 'exec',
+          command:
+            'mkdir -p /app/shared/log && rm -r -f /app/releases/3/log && mkdir -p /app/releases/3 && ln -nfs /app/shared/log /app/releases/3/log && ' +
+            'mkdir -p /app/shared/public/uploads && rm -r -f /app/releases/3/public/uploads && mkdir -p /app/releases/3/public && ln -nfs /app/shared/public/uploads /app/releases/3/public/uploads',
+        },
+        {
+          host: 'host',
+          type: 'exec',
+          command:
+            'ln -nfs /app/releases/3 /app/current.3.tmp && mv -T /app/current.3.tmp /app/current',
+        },
+        { host: 'host', type: 'exec', command: 'test -e /app/releases' },
+        { host: 'host', type: 'exec', command: 'ls -1A /app/releases' },
+        { host: 'host', type: 'exec', command: 'readlink /app/current' },
+        { host: 'host', type: 'exec', command: 'rm -r -f /app/releases/1' },
+      ])
+    })
+
+    it('should name releases from the date by default', async () => {
+      const { release } = await connection.deployRelease('/build', '/app')
+      expect(release).toMatch(/^\d{14}$/)
+      expect(recorder.getOperations()[1].src).toBe('/build/')
+    })
+
+    it('should list releases', async () => {
+      recorder.reply('ls -1A /app/releases', { stdout: '2\n10\n1\n' })
+      expect(await connection.listReleases('/app')).toEqual(['1', '10', '2'])
+      recorder.reset().reply('test -e /app/releases', { code: 1 })
+      expect(await connection.listReleases('/app')).toEqual([])
+    })
+
+    it('should get current release', async () => {
+      recorder.reply('readlink /app/current', { stdout: '/app/releases/2\n' })
+      expect(await connection.getCurrentRelease('/app')).toBe('2')
+      recorder.reset().reply('readlink /app/current', { code: 1 })
+      expect(await connection.getCurrentRelease('/app')).toBe(null)
+    })
+
+    it('should roll back to the previous release', async () => {
+      recorder
+        .reply('ls -1A /app/releases', { stdout: '1\n2\n3\n' })
+        .reply('readlink /app/current', { stdout: '/app/releases/3\n' })
+      expect(await connection.rollbackRelease('/app')).toEqual({
+        release: '2',
+        path: '/app/releases/2',
+      })
+      expect(recorder.getCommands().pop()).toBe(
+        'ln -nfs /app/releases/2 /app/current.2.tmp && mv -T /app/current.2.tmp /app/current',
+      )
+      await connection.rollbackRelease('/app', { release: '1' })
+      expect(recorder.getCommands().pop()).toBe(
+        'ln -nfs /app/releases/1 /app/current.1.tmp && mv -T /app/current.1.tmp /app/current',
+      )
+    })
+
+    it('should throw an error if there is no release to roll back to', async () => {
+      recorder
+        .reply('ls -1A /app/releases', { stdout: '1\n' })
+        .reply('readlink /app/current', { stdout: '/app/releases/1\n' })
+      await expect(connection.rollbackRelease('/app')).rejects.toEqual(
+        new Error('No release to roll back to on host "host".'),
+      )
+      await expect(
+        connection.rollbackRelease('/app', { release: '0' }),
+      ).rejects.toEqual(new Error('Release "0" not found on host "host".'))
+    })
+
+    it('should never prune the current release', async () => {
+      recorder
+        .reply('ls -1A /app/releases', { stdout: '1\n2\n3\n' })
+        .reply('readlink /app/current', { stdout: '/app/releases/1\n' })
+      expect(
+        await connection.pruneReleases('/app', { keepReleases: 1 }),
+      ).toEqual(['2'])
+      expect(recorder.getCommands().pop()).toBe('rm -r -f /app/releases/2')
+    })
+  })
+
+  describe('events', () => {
+    let connection
+    let events
+
+    beforeEach(() => {
+      connection = new Connection({
+        remote: 'user@host',
+        retry: { attempts: 2, delay: 0 },
+      })
+      events = []
+      ;[
+        'command:start',
+        'command:stdout',
+        'command:end',
+        'copy:start',
+        'copy:end',
+        'retry',
+        'error',
+      ].forEach(event =>
+        connection.on(event, payload => events.push({ event, ...payload })),
+      )
+    })
+
+    it('should emit command events', async () => {
+      await connection.run('my-command -x')
+      expect(events).toEqual([
+        {
+          event: 'command:start',
+          host: 'host',
+          remote: connection.remote,
+          command: 'my-command -x',
+          sshCommand: "ssh user@host 'my-command -x'",
+        },
+        {
+          event: 'command:end',
+          host: 'host',
+          remote: connection.remote,
+          command: 'my-command -x',
+          sshCommand: "ssh user@host 'my-command -x'",
+          code: 0,
+          signal: null,
+          duration: expect.any(Number),
+        },
+      ])
+    })
+
+    it('should emit retry and error events', async () => {
+      expect.assertions(5)
+      __failNextExec__({ code: 255 })
+      __failNextExec__({ code: 255 })
+      try {
+        await connection.run('my-command -x')
+      } catch (error) {
+        expect(events.map(({ event }) => event)).toEqual([
+          'command:start',
+          'command:end',
+          'retry',
+          'command:start',
+          'command:end',
+          'error',
+        ])
+        expect(events[1].code).toBe(255)
+        expect(events[2]).toMatchObject({ attempt: 2, attempts: 2, delay: 0 })
+        expect(events[2].error).toBeInstanceOf(SSHConnectionError)
+        expect(events[5].error).toBe(error)
+      }
+    })
+
+    it('should not emit "error" without listener', async () => {
+      expect.assertions(1)
+      connection.removeAllListeners('error')
+      __failNextExec__({ code: 1 })
+      try {
+        await connection.run('my-command -x')
+      } catch (error) {
+        expect(error).toBeInstanceOf(CommandError)
+      }
+    })
+
+    it('should emit copy events', async () => {
+      await connection.copyToRemote('/src/dir', '/dest/dir')
+      const copyEvents = events.filter(({ event }) => event.startsWith('copy'))
+      expect(copyEvents).toEqual([
+        {
+          event: 'copy:start',
+          host: 'host',
+          remote: connection.remote,
+          type: 'copyToRemote',
+          src: '/src/dir',
+          dest: '/dest/dir',
+        },
+        {
+          event: 'copy:end',
+          host: 'host',
+          remote: connection.remote,
+          type: 'copyToRemote',
+          src: '/src/dir',
+          dest: '/dest/dir',
+          duration: expect.any(Number),
+        },
+      ])
+    })
+
+    it('should emit "copy:end" with the error of a failed copy', async () => {
+      expect.assertions(1)
+      __failNextExec__({ code: 1 })
+      try {
+        await connection.scpCopyToRemote('/a/b/c', '/x/y/z')
+      } catch (error) {
+        expect(events[events.length - 1]).toMatchObject({
+          event: 'copy:end',
+          type: 'scpCopyToRemote',
+          error,
+        })
+      }
+    })
+
+    it('should emit output and end of streams', () => {
+      const stream = connection.stream('tail -f log')
+      stream.child.stdout.emit('data', Buffer.from('line'))
+      stream.child.emit('close', 0, null)
+      expect(events.map(({ event }) => event)).toEqual([
+        'command:start',
+        'command:stdout',
+        'command:end',
+      ])
+      expect(events[1].data.toString()).toBe('line')
+    })
+  })
+
+  describe('dryRun', () => {
+    let connection
+    let log
+
+    beforeEach(() => {
+      log = jest.fn()
+      connection = new Connection({ remote: 'user@host', dryRun: true, log })
+    })
+
+    it('should return command lines without executing them', async () => {
+      const result = await connection.run('my-command -x')
+      expect(execFile).not.toHaveBeenCalled()
+      expect(exec).not.toHaveBeenCalled()
+      expect(result.commands).toEqual(["ssh user@host 'my-command -x'"])
+      expect(result.stdout.toString()).toBe('')
+      expect(log).toHaveBeenCalledWith(
+        'Dry run on host "%s": %s',
+        'host',
+        "ssh user@host 'my-command -x'",
+      )
+    })
+
+    it('should return rsync command lines', async () => {
+      const result = await connection.copyToRemote('/src/dir', '/dest/dir')
+      expect(execFile).not.toHaveBeenCalled()
+      expect(result.commands).toEqual([
+        'rsync --archive --compress --rsh ssh /src/dir user@host:/dest/dir',
+      ])
+    })
+
+    it('should return scp and tar command lines in order', async () => {
+      const result = await connection.scpCopyToRemote('/a/b/c', '/x/y/z')
+      expect(execFile).not.toHaveBeenCalled()
+      expect(result.commands).toEqual([
+        'cd /a/b && tar -czf foo.tar.gz c',
+        "ssh user@host 'mkdir -p /x/y/z'",
+        'cd /a/b && scp foo.tar.gz user@host:/x/y/z',
+        'cd /a/b && rm foo.tar.gz',
+        "ssh user@host 'cd /x/y/z && tar --strip-components=1 -xzf foo.tar.gz'",
+        "ssh user@host 'cd /x/y/z && rm foo.tar.gz'",
+      ])
+    })
+
+    it('should not resolve secrets', async () => {
+      const password = jest.fn()
+      connection = new Connection({
+        remote: 'user@host',
+        dryRun: true,
+        password,
+      })
+      await connection.run('my-command -x')
+      expect(password).not.toHaveBeenCalled()
+    })
+
+    it('should not support streams', () => {
+      expect(() => connection.stream('tail -f log')).toThrow(
+        '"stream" is not supported when using "dryRun" option.',
+      )
+      expect(spawn).not.toHaveBeenCalled()
+    })
+
+    it('should not support downloads', () => {
+      expect(() => connection.download('pg_dump app')).toThrow(
+        '"download" is not supported when using "dryRun" option.',
+      )
+    })
+
+    it('should not support reading remote files', async () => {
+      const reads = {
+        readFile: () => connection.readFile('/app/config.json'),
+        exists: () => connection.exists('/app'),
+        stat: () => connection.stat('/app'),
+        readdir: () => connection.readdir('/app'),
+        readlink: () => connection.readlink('/app/current'),
+      }
+      await Promise.all(
+        Object.keys(reads).map(name =>
+          expect(reads[name]()).rejects.toEqual(
+            new Error(`"${name}" is not supported when using "dryRun" option.`),
+          ),
+        ),
+      )
+      expect(execFile).not.toHaveBeenCalled()
+    })
+
+    it('should return command lines of a deployment', async () => {
+      const result = await connection.deployRelease('/build', '/app', {
+        release: '20180101000000',
+        shared: ['logs'],
+      })
+      expect(execFile).not.toHaveBeenCalled()
+      expect(result).toEqual({
+        release: '20180101000000',
+        path: '/app/releases/20180101000000',
+        commands: [
+          "ssh user@host 'mkdir -p /app/releases/20180101000000'",
+          'rsync --archive --compress --rsh ssh /build/ user@host:/app/releases/20180101000000',
+          "ssh user@host 'mkdir -p /app/shared/logs && rm -r -f /app/releases/20180101000000/logs && mkdir -p /app/releases/20180101000000 && ln -nfs /app/shared/logs /app/releases/20180101000000/logs'",
+          "ssh user@host 'ln -nfs /app/releases/20180101000000 /app/current.20180101000000.tmp && mv -T /app/current.20180101000000.tmp /app/current'",
+        ],
+      })
+    })
+
+    it('should not support rollbacks', async () => {
+      await expect(connection.rollbackRelease('/app')).rejects.toEqual(
+        new Error(
+          '"rollbackRelease" is not supported when using "dryRun" option.',
+        ),
+      )
+      expect(execFile).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('IPv6', () => {
+    it('should run command and copy', async () => {
+      const connection = new Connection({ remote: 'user@[::1]:2222' })
+      await connection.run('my-command -x')
+      await connection.copyToRemote('/src/dir', '/dest/dir')
+      expect(
+        execFile.mock.calls.map(([file, args]) => [file, ...args]),
+      ).toEqual([
+        ['ssh', '-p', '2222', 'user@::1', 'my-command -x'],
+        [
+          'rsync',
+          '--archive',
+          '--compress',
+          '--rsh',
+          'ssh -p 2222',
+          '/src/dir',
+          'user@[::1]:/dest/dir',
+        ],
+      ])
+    })
+  })
+
+  describe('proxyJump', () => {
+    let connection
+
+    beforeEach(() => {
+      connection = new Connection({
+        remote: 'user@host',
+        proxyJump: 'admin@bastion:2222',
+      })
+    })
+
+    it('should accept proxyJump in remote', () => {
+      connection = new Connection({
+        remote: { user: 'user', host: 'host', proxyJump: 'bastion' },
+      })
+      expect(connection.proxyJump).toEqual([{ host: 'bastion' }])
+    })
+
+    it('should run command through proxy', async () => {
+      await connection.run('my-command -x')
+      expect(execFile).toHaveBeenCalledWith(
+        'ssh',
+        ['-J', 'admin@bastion:2222', 'user@host', 'my-command -x'],
+        { maxBuffer: 1024000 },
+        expect.any(Function),
+      )
+    })
+
+    it('should copy through proxy using rsync', async () => {
+      await connection.copyToRemote('/src/dir', '/dest/dir')
+      expect(execFile).toHaveBeenCalledWith(
+        'rsync',
+        [
+          '--archive',
+          '--compress',
+          '--rsh',
+          'ssh -J admin@bastion:2222',
+          '/src/dir',
+          'user@host:/dest/dir',
+        ],
+        { maxBuffer: 1024000 },
+        expect.any(Function),
+      )
+    })
+
+    it('should copy through proxy using scp', async () => {
+      await connection.scpCopyToRemote('/a/b/c', '/x/y/z')
+      expect(execFile.mock.calls[1].slice(0, 2)).toEqual([
+        'ssh',
+        ['-J', 'admin@bastion:2222', 'user@host', 'mkdir -p /x/y/z'],
+      ])
+      expect(execFile.mock.calls[2].slice(0, 2)).toEqual([
+        'scp',
+        [
+          '-o',
+          'ProxyJump=admin@bastion:2222',
+          'foo.tar.gz',
+          'user@host:/x/y/z',
+        ],
+      ])
+    })
+
+    it('should support hops with keys', async () => {
+      connection = new Connection({
+        remote: 'user@host',
+        proxyJump: { user: 'admin', host: 'bastion', key: '/path/to/key' },
+      })
+      await connection.copyToRemote('/src/dir', '/dest/dir')
+      expect(execFile).toHaveBeenCalledWith(
+        'rsync',
+        [
+          '--archive',
+          '--compress',
+          '--rsh',
+          "ssh -o 'ProxyCommand=ssh -i /path/to/key -W %h:%p admin@bastion'",
+          '/src/dir',
+          'user@host:/dest/dir',
+        ],
+        { maxBuffer: 1024000 },
+        expect.any(Function),
+      )
+    })
+  })
+
+  describe('#stream', () => {
+    it('should spawn ssh command', () => {
+      const connection = new Connection({ remote: 'user@host' })
+      const stream = connection.stream('tail -f log', { cwd: '/root' })
+      expect(spawn).toHaveBeenCalledWith('ssh', ['user@host', 'tail -f log'], {
+        cwd: '/root',
+      })
+      expect(stream.stdout).toBe(stream.child.stdout)
+      expect(stream.remote).toBe(connection.remote)
+    })
+
+    it('should support tty', () => {
+      const connection = new Connection({ remote: 'user@host' })
+      connection.stream('tail -f log', { tty: true })
+      expect(spawn).toHaveBeenCalledWith(
+        'ssh',
+        ['-tt', 'user@host', 'tail -f log'],
+        {},
+      )
+    })
+
+    it('should prefix output', () => {
+      const log = jest.fn()
+      const connection = new Connection({
+        remote: 'user@host',
+        log,
+        stdout: process.stdout,
+        stderr: process.stderr,
+      })
+
+      stdMocks.use()
+      const stream = connection.stream('tail -f log')
+      stream.stdout.push('first line\n')
+      stream.stdout.push(null)
+      stream.stderr.push('an error\n')
+      stream.stderr.push(null)
+
+      return new Promise(resolve => setImmediate(resolve)).then(() => {
+        const output = stdMocks.flush()
+        stdMocks.restore()
+        expect(log).toHaveBeenCalledWith(
+          'Streaming "%s" on host "%s".',
+          'tail -f log',
+          'host',
+        )
+        expect(output.stdout[0].toString()).toBe('@host first line\n')
+        expect(output.stderr[0].toString()).toBe('@host-err an error\n')
+      })
+    })
+  })
+
   describe('#copy', () => {
     let connection
 
@@ -242,8 +1633,16 @@ describe('Connection', () => {
 
     it('should call cmd.spawn', async () => {
       await connection.copy('/src/dir', '/dest/dir')
-      expect(exec).toHaveBeenCalledWith(
-        'rsync --archive --compress --rsh "ssh" /src/dir user@host:/dest/dir',
+      expect(execFile).toHaveBeenCalledWith(
+        'rsync',
+        [
+          '--archive',
+          '--compress',
+          '--rsh',
+          'ssh',
+          '/src/dir',
+          'user@host:/dest/dir',
+        ],
         { maxBuffer: 1024000 },
         expect.any(Function),
       )
@@ -251,8 +1650,20 @@ describe('Connection', () => {
 
     it('should accept "ignores" option', async () => {
       await connection.copy('/src/dir', '/dest/dir', { ignores: ['a', 'b'] })
-      expect(exec).toHaveBeenCalledWith(
-        'rsync --archive --compress --exclude "a" --exclude "b" --rsh "ssh" /src/dir user@host:/dest/dir',
+      expect(execFile).toHaveBeenCalledWith(
+        'rsync',
+        [
+          '--archive',
+          '--compress',
+          '--exclude',
+          'a',
+          '--exclude',
+          'b',
+          '--rsh',
+          'ssh',
+          '/src/dir',
+          'user@host:/dest/dir',
+        ],
         { maxBuffer: 1024000 },
         expect.any(Function),
       )
@@ -262,8 +1673,16 @@ describe('Connection', () => {
       await connection.copy('/src/dir', '/dest/dir', {
         direction: 'remoteToLocal',
       })
-      expect(exec).toHaveBeenCalledWith(
-        'rsync --archive --compress --rsh "ssh" user@host:/src/dir /dest/dir',
+      expect(execFile).toHaveBeenCalledWith(
+        'rsync',
+        [
+          '--archive',
+          '--compress',
+          '--rsh',
+          'ssh',
+          'user@host:/src/dir',
+          '/dest/dir',
+        ],
         { maxBuffer: 1024000 },
         expect.any(Function),
       )
@@ -273,13 +1692,53 @@ describe('Connection', () => {
       await connection.copy('/src/dir', '/dest/dir', {
         rsync: '--info=progress2',
       })
-      expect(exec).toHaveBeenCalledWith(
-        'rsync --archive --compress --info=progress2 --rsh "ssh" /src/dir user@host:/dest/dir',
+      expect(execFile).toHaveBeenCalledWith(
+        'rsync',
+        [
+          '--archive',
+          '--compress',
+          '--info=progress2',
+          '--rsh',
+          'ssh',
+          '/src/dir',
+          'user@host:/dest/dir',
+        ],
         { maxBuffer: 1024000 },
         expect.any(Function),
       )
     })
 
+    it('should split and unquote "rsync" option like a shell', async () => {
+      await connection.copyToRemote('/src/dir', '/dest/dir', {
+        rsync: '--rsync-path="sudo rsync" --delete',
+      })
+      await connection.copyToRemote('/src/dir', '/dest/dir', {
+        rsync: ['--rsync-path="sudo rsync"', "--filter='- *.log'"],
+      })
+      expect(execFile.mock.calls[0][1].slice(2, 4)).toEqual([
+        '--rsync-path=sudo rsync',
+        '--delete',
+      ])
+      expect(execFile.mock.calls[1][1].slice(2, 4)).toEqual([
+        '--rsync-path=sudo rsync',
+        '--filter=- *.log',
+      ])
+    })
+
+    it('should reject with a SSHConnectionError when rsync fails to connect', async () => {
+      expect.assertions(3)
+      __failNextExec__({ code: 255 })
+      try {
+        await connection.copyToRemote('/src/dir', '/dest/dir')
+      } catch (error) {
+        expect(error).toBeInstanceOf(SSHConnectionError)
+        expect(error.command).toBe(
+          'rsync --archive --compress --rsh ssh /src/dir user@host:/dest/dir',
+        )
+        expect(error.sshCommand).toBe(error.command)
+      }
+    })
+
     describe('without rsync available', () => {
       beforeEach(() => {
         __setPaths__({})
@@ -287,33 +1746,42 @@ describe('Connection', () => {
 
       it('should use tar+scp', async () => {
         const result = await connection.copy('/a/b/c', '/x/y/z')
-        expect(exec.mock.calls[0]).toEqual([
-          'cd /a/b && tar -czf foo.tar.gz c',
-          { maxBuffer: 1024000 },
+        expect(execFile.mock.calls[0]).toEqual([
+          'tar',
+          ['-czf', 'foo.tar.gz', 'c'],
+          { maxBuffer: 1024000, cwd: '/a/b' },
           expect.any(Function),
         ])
-        expect(exec.mock.calls[1]).toEqual([
-          'ssh user@host "mkdir -p /x/y/z"',
+        expect(execFile.mock.calls[1]).toEqual([
+          'ssh',
+          ['user@host', 'mkdir -p /x/y/z'],
           { maxBuffer: 1024000 },
           expect.any(Function),
         ])
-        expect(exec.mock.calls[2]).toEqual([
-          'cd /a/b && scp foo.tar.gz user@host:/x/y/z',
-          { maxBuffer: 1024000 },
+        expect(execFile.mock.calls[2]).toEqual([
+          'scp',
+          ['foo.tar.gz', 'user@host:/x/y/z'],
+          { maxBuffer: 1024000, cwd: '/a/b' },
           expect.any(Function),
         ])
-        expect(exec.mock.calls[3]).toEqual([
-          'cd /a/b && rm foo.tar.gz',
-          { maxBuffer: 1024000 },
+        expect(execFile.mock.calls[3]).toEqual([
+          'rm',
+          ['foo.tar.gz'],
+          { maxBuffer: 1024000, cwd: '/a/b' },
           expect.any(Function),
         ])
-        expect(exec.mock.calls[4]).toEqual([
-          'ssh user@host "cd /x/y/z && tar --strip-components=1 -xzf foo.tar.gz"',
+        expect(execFile.mock.calls[4]).toEqual([
+          'ssh',
+          [
+            'user@host',
+            'cd /x/y/z && tar --strip-components=1 -xzf foo.tar.gz',
+          ],
           { maxBuffer: 1024000 },
           expect.any(Function),
         ])
-        expect(exec.mock.calls[5]).toEqual([
-          'ssh user@host "cd /x/y/z && rm foo.tar.gz"',
+        expect(execFile.mock.calls[5]).toEqual([
+          'ssh',
+          ['user@host', 'cd /x/y/z && rm foo.tar.gz'],
           { maxBuffer: 1024000 },
           expect.any(Function),
         ])
@@ -326,34 +1794,40 @@ describe('Connection', () => {
         const result = await connection.copy('/a/b/c', '/x/y/z', {
           direction: 'remoteToLocal',
         })
-        expect(exec.mock.calls[0]).toEqual([
-          'ssh user@host "cd /a/b && tar -czf foo.tar.gz c"',
+        expect(execFile.mock.calls[0]).toEqual([
+          'ssh',
+          ['user@host', 'cd /a/b && tar -czf foo.tar.gz c'],
           { maxBuffer: 1024000 },
           expect.any(Function),
         ])
-        expect(exec.mock.calls[1]).toEqual([
-          'mkdir -p /x/y/z',
+        expect(execFile.mock.calls[1]).toEqual([
+          'mkdir',
+          ['-p', '/x/y/z'],
           { maxBuffer: 1024000 },
           expect.any(Function),
         ])
-        expect(exec.mock.calls[2]).toEqual([
-          'scp user@host:/a/b/foo.tar.gz /x/y/z',
+        expect(execFile.mock.calls[2]).toEqual([
+          'scp',
+          ['user@host:/a/b/foo.tar.gz', '/x/y/z'],
           { maxBuffer: 1024000 },
           expect.any(Function),
         ])
-        expect(exec.mock.calls[3]).toEqual([
-          'ssh user@host "cd /a/b && rm foo.tar.gz"',
+        expect(execFile.mock.calls[3]).toEqual([
+          'ssh',
+          ['user@host', 'cd /a/b && rm foo.tar.gz'],
           { maxBuffer: 1024000 },
           expect.any(Function),
         ])
-        expect(exec.mock.calls[4]).toEqual([
-          'cd /x/y/z && tar --strip-components=1 -xzf foo.tar.gz',
-          { maxBuffer: 1024000 },
+        expect(execFile.mock.calls[4]).toEqual([
+          'tar',
+          ['--strip-components=1', '-xzf', 'foo.tar.gz'],
+          { maxBuffer: 1024000, cwd: '/x/y/z' },
           expect.any(Function),
         ])
-        expect(exec.mock.calls[5]).toEqual([
-          'cd /x/y/z && rm foo.tar.gz',
-          { maxBuffer: 1024000 },
+        expect(execFile.mock.calls[5]).toEqual([
+          'rm',
+          ['foo.tar.gz'],
+          { maxBuffer: 1024000, cwd: '/x/y/z' },
           expect.any(Function),
         ])
         expect(result.stdout.toString()).toBe('stdout'.repeat(6))
@@ -367,33 +1841,60 @@ describe('Connection', () => {
           key: '/path/to/key',
         })
         const result = await connection.copy('/a/b/c', '/x/y/z')
-        expect(exec.mock.calls[0]).toEqual([
-          'cd /a/b && tar -czf foo.tar.gz c',
-          { maxBuffer: 1024000 },
+        expect(execFile.mock.calls[0]).toEqual([
+          'tar',
+          ['-czf', 'foo.tar.gz', 'c'],
+          { maxBuffer: 1024000, cwd: '/a/b' },
           expect.any(Function),
         ])
-        expect(exec.mock.calls[1]).toEqual([
-          'ssh -p 12345 -i /path/to/key user@host "mkdir -p /x/y/z"',
+        expect(execFile.mock.calls[1]).toEqual([
+          'ssh',
+          ['-p', '12345', '-i', '/path/to/key', 'user@host', 'mkdir -p /x/y/z'],
           { maxBuffer: 1024000 },
           expect.any(Function),
         ])
-        expect(exec.mock.calls[2]).toEqual([
-          'cd /a/b && scp -P 12345 -i /path/to/key foo.tar.gz user@host:/x/y/z',
-          { maxBuffer: 1024000 },
+        expect(execFile.mock.calls[2]).toEqual([
+          'scp',
+          [
+            '-P',
+            '12345',
+            '-i',
+            '/path/to/key',
+            'foo.tar.gz',
+            'user@host:/x/y/z',
+          ],
+          { maxBuffer: 1024000, cwd: '/a/b' },
           expect.any(Function),
         ])
-        expect(exec.mock.calls[3]).toEqual([
-          'cd /a/b && rm foo.tar.gz',
-          { maxBuffer: 1024000 },
+        expect(execFile.mock.calls[3]).toEqual([
+          'rm',
+          ['foo.tar.gz'],
+          { maxBuffer: 1024000, cwd: '/a/b' },
           expect.any(Function),
         ])
-        expect(exec.mock.calls[4]).toEqual([
-          'ssh -p 12345 -i /path/to/key user@host "cd /x/y/z && tar --strip-components=1 -xzf foo.tar.gz"',
+        expect(execFile.mock.calls[4]).toEqual([
+          'ssh',
+          [
+            '-p',
+            '12345',
+            '-i',
+            '/path/to/key',
+            'user@host',
+            'cd /x/y/z && tar --strip-components=1 -xzf foo.tar.gz',
+          ],
           { maxBuffer: 1024000 },
           expect.any(Function),
         ])
-        expect(exec.mock.calls[5]).toEqual([
-          'ssh -p 12345 -i /path/to/key user@host "cd /x/y/z && rm foo.tar.gz"',
+        expect(execFile.mock.calls[5]).toEqual([
+          'ssh',
+          [
+            '-p',
+            '12345',
+            '-i',
+            '/path/to/key',
+            'user@host',
+            'cd /x/y/z && rm foo.tar.gz',
+          ],
           { maxBuffer: 1024000 },
           expect.any(Function),
         ])
@@ -401,6 +1902,20 @@ describe('Connection', () => {
         expect(result.stderr.toString()).toBe('stderr'.repeat(6))
         expect(result.children.length).toBe(6)
       })
+
+      it('should reject with the error of the failing step', async () => {
+        expect.assertions(3)
+        execFile.mockImplementationOnce(execFile.getMockImplementation())
+        execFile.mockImplementationOnce(execFile.getMockImplementation())
+        __failNextExec__({ code: 255 })
+        try {
+          await connection.scpCopyToRemote('/a/b/c', '/x/y/z')
+        } catch (error) {
+          expect(error).toBeInstanceOf(SSHConnectionError)
+          expect(error.command).toBe('scp foo.tar.gz user@host:/x/y/z')
+        }
+        expect(execFile).toHaveBeenCalledTimes(3)
+      })
     })
 
     it('should use key if present', async () => {
@@ -409,8 +1924,16 @@ describe('Connection', () => {
         key: '/path/to/key',
       })
       await connection.copy('/src/dir', '/dest/dir')
-      expect(exec).toHaveBeenCalledWith(
-        'rsync --archive --compress --rsh "ssh -i /path/to/key" /src/dir user@host:/dest/dir',
+      expect(execFile).toHaveBeenCalledWith(
+        'rsync',
+        [
+          '--archive',
+          '--compress',
+          '--rsh',
+          'ssh -i /path/to/key',
+          '/src/dir',
+          'user@host:/dest/dir',
+        ],
         { maxBuffer: 1024000 },
         expect.any(Function),
       )
@@ -421,8 +1944,16 @@ describe('Connection', () => {
         remote: 'user@host:12345',
       })
       await connection.copy('/src/dir', '/dest/dir')
-      expect(exec).toHaveBeenCalledWith(
-        'rsync --archive --compress --rsh "ssh -p 12345" /src/dir user@host:/dest/dir',
+      expect(execFile).toHaveBeenCalledWith(
+        'rsync',
+        [
+          '--archive',
+          '--compress',
+          '--rsh',
+          'ssh -p 12345',
+          '/src/dir',
+          'user@host:/dest/dir',
+        ],
         { maxBuffer: 1024000 },
         expect.any(Function),
       )
@@ -434,8 +1965,16 @@ describe('Connection', () => {
         strict: 'yes',
       })
       await connection.copy('/src/dir', '/dest/dir')
-      expect(exec).toHaveBeenCalledWith(
-        'rsync --archive --compress --rsh "ssh -o StrictHostKeyChecking=yes" /src/dir user@host:/dest/dir',
+      expect(execFile).toHaveBeenCalledWith(
+        'rsync',
+        [
+          '--archive',
+          '--compress',
+          '--rsh',
+          'ssh -o StrictHostKeyChecking=yes',
+          '/src/dir',
+          'user@host:/dest/dir',
+        ],
         { maxBuffer: 1024000 },
         expect.any(Function),
       )
@@ -447,8 +1986,16 @@ describe('Connection', () => {
         key: '/path/to/key',
       })
       await connection.copy('/src/dir', '/dest/dir')
-      expect(exec).toHaveBeenCalledWith(
-        'rsync --archive --compress --rsh "ssh -p 12345 -i /path/to/key" /src/dir user@host:/dest/dir',
+      expect(execFile).toHaveBeenCalledWith(
+        'rsync',
+        [
+          '--archive',
+          '--compress',
+          '--rsh',
+          'ssh -p 12345 -i /path/to/key',
+          '/src/dir',
+          'user@host:/dest/dir',
+        ],
         { maxBuffer: 1024000 },
         expect.any(Function),
       )
@@ -464,7 +2011,7 @@ describe('Connection', () => {
       })
 
       stdMocks.use()
-      const result = await connection.copy('/src/dir', '/dest/dir')
+      const result = await connection.copyToRemote('/src/dir', '/dest/dir')
       result.child.stdout.push('first line\n')
       result.child.stdout.push(null)
 
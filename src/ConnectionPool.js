@@ -1,34 +1,478 @@
 /* eslint-disable func-names */
-import Connection from './Connection'
+import { EventEmitter } from 'events'
+import { PassThrough } from 'stream'
+import os from 'os'
+import path from 'path'
+import Connection, { formatReleaseName } from './Connection'
+import {
+  parseSshConfig,
+  listSshConfigHosts,
+  getSshConfigRemote,
+  expandHome,
+} from './sshConfig'
+import { parseInventory, getInventoryFormat } from './inventory'
+import { ConnectionPoolError, TransactionError } from './errors'
+import { CommandStreamGroup } from './CommandStream'
+import {
+  series,
+  parallel,
+  chunk,
+  batches,
+  readFile,
+  isReadable,
+  readStream,
+} from './util'
 
-class ConnectionPool {
+const fulfilled = (connection, result) => ({
+  connection,
+  remote: connection.remote,
+  status: 'fulfilled',
+  result,
+  stdout: result && result.stdout,
+  stderr: result && result.stderr,
+  code: 0,
+})
+
+const rejected = (connection, error) => ({
+  connection,
+  remote: connection.remote,
+  status: 'rejected',
+  error,
+  stdout: error.stdout,
+  stderr: error.stderr,
+  code: error.code,
+})
+
+// Events of connections forwarded by pools.
+const CONNECTION_EVENTS = [
+  'command:start',
+  'command:stdout',
+  'command:stderr',
+  'command:end',
+  'copy:start',
+  'copy:end',
+  'retry',
+  'error',
+]
+
+// A finished command must not block other connections reading the same input.
+function releaseBranch(input, branch) {
+  input.unpipe(branch)
+  branch.resume()
+}
+
+// Other values would never start any task.
+function checkPositiveInteger(options, name, { allowInfinity = false } = {}) {
+  const value = options[name]
+  if (value === undefined || (allowInfinity && value === Infinity)) return
+  if (!Number.isInteger(value) || value <= 0)
+    throw new Error(
+      `"${name}" option must be a positive integer, got ${value}.`,
+    )
+}
+
+const skipped = connection => ({
+  connection,
+  remote: connection.remote,
+  status: 'skipped',
+})
+
+class ConnectionPool extends EventEmitter {
   /**
    * Initialize a new `ConnectionPool` with `connections`.
    * All Connection options are also supported.
+   * Events of connections are emitted by the pool with a "connection" property.
    *
    * @param {Connection|string[]} connections Connections
    * @param {object} [options] Options
+   * @param {number} [options.concurrency] Maximum number of connections running at the same time
+   * @param {number} [options.batchSize] Run connections in successive batches of this size
+   * @param {boolean} [options.settle] Wait for every connection and report per-connection results
    */
-  constructor(connections, options) {
+  constructor(connections, options = {}) {
+    super()
+    checkPositiveInteger(options, 'concurrency', { allowInfinity: true })
+    checkPositiveInteger(options, 'batchSize')
+    this.options = options
     this.connections = connections.map(connection => {
       if (connection instanceof Connection) return connection
       return new Connection({ remote: connection, ...options })
     })
+    // Only listen to connections while an event is listened on the pool.
+    this.forwarders = {}
+    this.on('newListener', event => {
+      if (!CONNECTION_EVENTS.includes(event) || this.forwarders[event]) return
+      this.forwarders[event] = this.connections.map(connection => {
+        const forward = payload => {
+          // Like connections, "error" is ignored when there is no listener.
+          if (event === 'error' && this.listenerCount('error') === 0) return
+          this.emit(event, { ...payload, connection })
+        }
+        connection.on(event, forward)
+        return { connection, forward }
+      })
+    })
+    // Connections may be shared by other pools, forwarders are removed.
+    this.on('removeListener', event => {
+      if (!this.forwarders[event] || this.listenerCount(event) > 0) return
+      this.forwarders[event].forEach(({ connection, forward }) =>
+        connection.removeListener(event, forward),
+      )
+      delete this.forwarders[event]
+    })
+  }
+
+  /**
+   * Create a new `ConnectionPool` from hosts defined in an OpenSSH config file.
+   * HostName, User, Port, IdentityFile and ProxyJump are supported.
+   * All Connection options are also supported.
+   *
+   * @param {string} [file] Config file, defaults to "~/.ssh/config"
+   * @param {object} [options] Options
+   * @param {string[]} [options.hosts] Only use hosts matching these patterns
+   * @returns {Promise.<ConnectionPool>} A promise with the pool
+   */
+  static async fromSshConfig(
+    file = path.join(os.homedir(), '.ssh', 'config'),
+    { hosts, ...options } = {},
+  ) {
+    const blocks = parseSshConfig(await readFile(expandHome(file)))
+    const remotes = listSshConfigHosts(blocks, hosts).map(alias =>
+      getSshConfigRemote(blocks, alias),
+    )
+    return new ConnectionPool(remotes, options)
+  }
+
+  /**
+   * Create a new `ConnectionPool` from an inventory file, using Ansible formats
+   * (INI or YAML) or a simple JSON/YAML object: { web: ['user@web1'] }.
+   * Groups of hosts are available in "groups" option of each connection.
+   * All Connection options are also supported.
+   *
+   * @param {string} file Inventory file
+   * @param {object} [options] Options
+   * @param {string} [options.format] Format: "ini", "yaml" or "json", guessed from extension by default
+   * @param {string[]} [options.groups] Only use hosts of these groups
+   * @returns {Promise.<ConnectionPool>} A promise with the pool
+   */
+  static async fromInventory(file, { format, groups, ...options } = {}) {
+    const content = await readFile(expandHome(file))
+    const hosts = parseInventory(content, format || getInventoryFormat(file))
+    const connections = hosts
+      .filter(
+        host => !groups || host.groups.some(group => groups.includes(group)),
+      )
+      .map(
+        host =>
+          new Connection({
+            ...options,
+            remote: host.remote,
+            groups: host.groups,
+          }),
+      )
+    return new ConnectionPool(connections, options)
+  }
+
+  /**
+   * Create a new pool sharing connections that satisfy a predicate.
+   *
+   * @param {function} predicate Predicate called with each connection
+   * @returns {ConnectionPool} A new pool with the same options
+   */
+  filter(predicate) {
+    return new ConnectionPool(this.connections.filter(predicate), this.options)
+  }
+
+  /**
+   * Create a new pool sharing connections of some groups.
+   *
+   * @param {...string} groups Groups
+   * @returns {ConnectionPool} A new pool with the same options
+   */
+  group(...groups) {
+    return this.filter(connection =>
+      groups.some(group => connection.groups.includes(group)),
+    )
+  }
+
+  /**
+   * Create a new pool sharing the first `count` connections.
+   *
+   * @param {number} count Number of connections
+   * @returns {ConnectionPool} A new pool with the same options
+   */
+  pick(count) {
+    return this.filter((connection, index) => index < count)
+  }
+
+  /**
+   * Run a command on each connection and stream its output.
+   * Streams are started on every connection at once.
+   *
+   * @param {string} command Command to run
+   * @param {object} [options] Same options as `Connection#stream`
+   * @returns {CommandStreamGroup} A group: { streams, exitCodes }
+   */
+  stream(command, { stdin, ...options } = {}) {
+    if (!isReadable(stdin)) {
+      return new CommandStreamGroup(
+        this.connections.map(connection =>
+          connection.stream(command, { ...options, stdin }),
+        ),
+      )
+    }
+    const branches = this.connections.map(() => stdin.pipe(new PassThrough()))
+    return new CommandStreamGroup(
+      this.connections.map((connection, index) => {
+        const branch = branches[index]
+        const stream = connection.stream(command, { ...options, stdin: branch })
+        const release = () => releaseBranch(stdin, branch)
+        stream.exitCode.then(release, release)
+        return stream
+      }),
+    )
+  }
+
+  /**
+   * Run a command on each connection.
+   *
+   * @param {string|string[]} command Command to run
+   * @param {object} [options] Same options as `Connection#run`, "stdin" is written to every connection
+   * @returns {Promise.<Array>} A promise with results in connections order
+   */
+  async run(command, { stdin, ...options } = {}) {
+    return this.runTasksWithInput(stdin, (connection, input) =>
+      connection.run(command, { ...options, stdin: input }),
+    )
+  }
+
+  /**
+   * Write a file on each connection.
+   *
+   * @param {string} file File
+   * @param {string|Buffer|Readable} data Content, written to every connection
+   * @param {object} [options] Same options as `Connection#writeFile`
+   * @returns {Promise.<Array>} A promise with results in connections order
+   */
+  async writeFile(file, data, options) {
+    return this.runTasksWithInput(data, (connection, input) =>
+      connection.writeFile(file, input, options),
+    )
+  }
+
+  /**
+   * Run a task on each connection with its own copy of an input.
+   * A stream is teed to every connection when they all run at once,
+   * otherwise it is read in memory first.
+   *
+   * @param {string|Buffer|Readable} input Input
+   * @param {function} task Task called with each connection and its input, must return a promise
+   * @returns {Promise.<Array>} A promise with results in connections order
+   */
+  async runTasksWithInput(input, task) {
+    if (!isReadable(input))
+      return this.runTasks(connection => task(connection, input))
+
+    const { concurrency = Infinity, batchSize } = this.options
+    // Connections waiting for their turn would block the stream.
+    if (batchSize || concurrency < this.connections.length) {
+      const buffer = await readStream(input)
+      return this.runTasks(connection => task(connection, buffer))
+    }
+
+    const branches = new Map(
+      this.connections.map(connection => [
+        connection,
+        input.pipe(new PassThrough()),
+      ]),
+    )
+    return this.runTasks(async connection => {
+      const branch = branches.get(connection)
+      try {
+        return await task(connection, branch)
+      } finally {
+        releaseBranch(input, branch)
+      }
+    })
+  }
+
+  /**
+   * Deploy a release on each connection, like `Connection#deployRelease`.
+   * "current" links are only switched once the release is uploaded on every connection,
+   * old releases are removed once every link is switched.
+   *
+   * @param {string} src Local directory, its content is uploaded
+   * @param {string} deployTo Remote directory
+   * @param {object} [options] Same options as `Connection#deployRelease`
+   * @returns {Promise.<Array>} A promise with results in connections order
+   */
+  async deployRelease(
+    src,
+    deployTo,
+    { keepReleases, release = formatReleaseName(), ...options } = {},
+  ) {
+    // Nothing is run in dry run, steps do not need to wait for each other.
+    if (this.options.dryRun)
+      return this.runTasks(connection =>
+        connection.deployRelease(src, deployTo, {
+          ...options,
+          keepReleases,
+          release,
+        }),
+      )
+    const { shared, ignores, rsync, ...cmdOptions } = options
+    await this.runTasks(connection =>
+      connection.uploadRelease(src, deployTo, { ...options, release }),
+    )
+    const results = await this.runTasks(connection =>
+      connection.activateRelease(deployTo, release, cmdOptions),
+    )
+    await this.runTasks(connection =>
+      connection.pruneReleases(deployTo, { ...cmdOptions, keepReleases }),
+    )
+    return results
+  }
+
+  /**
+   * Run a task on each connection, honoring "concurrency" and "batchSize" options.
+   * When using batches, a batch only starts once the previous one has succeeded.
+   *
+   * @param {function} task Task called with each connection, must return a promise
+   * @returns {Promise.<Array>} A promise with results in connections order
+   */
+  async runTasks(task) {
+    const { concurrency = Infinity, batchSize, settle } = this.options
+    if (settle) return this.runSettledTasks(task)
+    const tasks = this.connections.map(connection => () => task(connection))
+    if (batchSize) return batches(tasks, batchSize, concurrency)
+    return parallel(tasks, concurrency)
+  }
+
+  /**
+   * Run a task on each connection without failing fast.
+   * Results are objects: { connection, remote, status, stdout, stderr, code, error }.
+   * When using batches, remaining batches are skipped after a failure.
+   *
+   * @param {function} task Task called with each connection, must return a promise
+   * @returns {Promise.<object[]>} A promise with results in connections order
+   */
+  async runSettledTasks(task) {
+    const results = await this.settleTasks(this.connections, task)
+    if (results.some(({ status }) => status === 'rejected'))
+      throw new ConnectionPoolError(results)
+    return results
+  }
+
+  /**
+   * Run a task on some connections and report per-connection results.
+   *
+   * @param {Connection[]} connections Connections
+   * @param {function} task Task called with each connection, must return a promise
+   * @param {object} [options] Options
+   * @param {boolean} [options.skipAfterFailure] Skip remaining batches after a failure (default true)
+   * @returns {Promise.<object[]>} A promise with results in connections order
+   */
+  async settleTasks(connections, task, { skipAfterFailure = true } = {}) {
+    const { concurrency = Infinity, batchSize } = this.options
+    const results = connections.map(skipped)
+    const hasFailed = () => results.some(({ status }) => status === 'rejected')
+
+    const tasks = connections.map((connection, index) => async () => {
+      try {
+        results[index] = fulfilled(connection, await task(connection))
+      } catch (error) {
+        results[index] = rejected(connection, error)
+      }
+    })
+
+    const waves = batchSize ? chunk(tasks, batchSize) : [tasks]
+    await series(
+      waves.map(wave => async () => {
+        if (!skipAfterFailure || !hasFailed()) await parallel(wave, concurrency)
+      }),
+    )
+    return results
+  }
+
+  /**
+   * Run a two-phase transaction on each connection. "commit" only runs once
+   * "prepare" succeeded on every connection. If a commit fails, remaining batches
+   * are skipped and "rollback" runs on every connection where "commit" succeeded.
+   * Steps honor "concurrency" and "batchSize" options.
+   *
+   * The report lists results of each step per host: { status, result, error },
+   * status being "fulfilled", "rejected" or "skipped".
+   *
+   * @param {object} steps Steps, called with each connection and returning a promise
+   * @param {function} steps.prepare Prepare the change, without side effect on the service
+   * @param {function} steps.commit Apply the change
+   * @param {function} [steps.rollback] Revert an applied change
+   * @returns {Promise.<object>} A promise with the report as result: { status, hosts }, rejected with a `TransactionError`
+   */
+  async transaction({ prepare, commit, rollback }) {
+    const hosts = this.connections.map(connection => ({
+      connection,
+      remote: connection.remote,
+      prepare: skipped(connection),
+      commit: skipped(connection),
+      rollback: skipped(connection),
+    }))
+    const setResults = (step, results) =>
+      results.forEach(result => {
+        hosts[this.connections.indexOf(result.connection)][step] = result
+      })
+    const hasFailed = results =>
+      results.some(({ status }) => status === 'rejected')
+
+    const prepared = await this.settleTasks(this.connections, prepare)
+    setResults('prepare', prepared)
+    if (hasFailed(prepared)) {
+      throw new TransactionError({ status: 'aborted', hosts })
+    }
+
+    const committed = await this.settleTasks(this.connections, commit)
+    setResults('commit', committed)
+    if (!hasFailed(committed)) return { status: 'committed', hosts }
+
+    if (rollback) {
+      const connections = committed
+        .filter(({ status }) => status === 'fulfilled')
+        .map(({ connection }) => connection)
+      setResults(
+        'rollback',
+        await this.settleTasks(connections, rollback, {
+          skipAfterFailure: false,
+        }),
+      )
+    }
+    throw new TransactionError({ status: 'rolledBack', hosts })
   }
 }
 
 ;[
-  'run',
+  'open',
+  'close',
   'copy',
   'copyToRemote',
   'copyFromRemote',
   'scpCopyToRemote',
   'scpCopyFromRemote',
+  'readFile',
+  'exists',
+  'stat',
+  'readdir',
+  'symlink',
+  'readlink',
+  'remove',
+  'uploadRelease',
+  'activateRelease',
+  'listReleases',
+  'getCurrentRelease',
+  'rollbackRelease',
+  'pruneReleases',
 ].forEach(method => {
   ConnectionPool.prototype[method] = function(...args) {
-    return Promise.all(
-      this.connections.map(connection => connection[method](...args)),
-    )
+    return this.runTasks(connection => connection[method](...args))
   }
 })
 
@@ -1,7 +1,13 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { PassThrough } from 'stream'
 import { __setPaths__ } from 'whereis'
-import { exec } from 'child_process'
+import { execFile, spawn, __failNextExec__ } from 'child_process'
 import Connection from './Connection'
 import ConnectionPool from './ConnectionPool'
+import { AbortError, CommandError, TransactionError } from './errors'
+import { CommandRecorder } from './testing'
 
 jest.mock('whereis')
 jest.mock('child_process')
@@ -25,6 +31,27 @@ describe('ConnectionPool', () => {
       })
     })
 
+    it('should reject invalid "concurrency" and "batchSize" options', () => {
+      ;[0, -1, NaN, 1.5, '2'].forEach(value => {
+        expect(
+          () => new ConnectionPool(['myserver'], { concurrency: value }),
+        ).toThrow(
+          `"concurrency" option must be a positive integer, got ${value}.`,
+        )
+        expect(
+          () => new ConnectionPool(['myserver'], { batchSize: value }),
+        ).toThrow(
+          `"batchSize" option must be a positive integer, got ${value}.`,
+        )
+      })
+      expect(
+        () => new ConnectionPool(['myserver'], { concurrency: Infinity }),
+      ).not.toThrow()
+      expect(
+        () => new ConnectionPool(['myserver'], { batchSize: Infinity }),
+      ).toThrow('"batchSize" option must be a positive integer, got Infinity.')
+    })
+
     it('should be possible to create a new ConnectionPool with long syntax', () => {
       const connection1 = new Connection({ remote: 'myserver' })
       const connection2 = new Connection({ remote: 'myserver2' })
@@ -34,6 +61,136 @@ describe('ConnectionPool', () => {
     })
   })
 
+  describe('.fromSshConfig', () => {
+    it('should create connections from config hosts', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ssh-pool-'))
+      const file = path.join(dir, 'config')
+      fs.writeFileSync(
+        file,
+        [
+          'Host web1 web2',
+          '  HostName %h.example.com',
+          '  User deploy',
+          '  IdentityFile /keys/web',
+          'Host db1',
+          '  User postgres',
+          '  Port 2222',
+          '  ProxyJump admin@bastion',
+        ].join('\n'),
+      )
+
+      const pool = await ConnectionPool.fromSshConfig(file, { strict: 'no' })
+      expect(pool.connections.map(({ remote }) => remote)).toEqual([
+        { user: 'deploy', host: 'web1.example.com', key: '/keys/web' },
+        { user: 'deploy', host: 'web2.example.com', key: '/keys/web' },
+        {
+          user: 'postgres',
+          host: 'db1',
+          port: 2222,
+          proxyJump: ['admin@bastion'],
+        },
+      ])
+      expect(pool.connections[0].options.key).toBe('/keys/web')
+      expect(pool.connections[0].options.strict).toBe('no')
+      expect(pool.connections[2].proxyJump).toEqual([
+        { user: 'admin', host: 'bastion' },
+      ])
+
+      const webPool = await ConnectionPool.fromSshConfig(file, {
+        hosts: ['web*'],
+      })
+      expect(webPool.connections.length).toBe(2)
+    })
+  })
+
+  describe('.fromInventory', () => {
+    it('should create connections from inventory hosts', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ssh-pool-'))
+      const file = path.join(dir, 'hosts.yml')
+      fs.writeFileSync(
+        file,
+        [
+          'web:',
+          '  - deploy@web1',
+          '  - deploy@web2',
+          'db:',
+          '  - postgres@db1',
+        ].join('\n'),
+      )
+
+      const pool = await ConnectionPool.fromInventory(file, { strict: 'no' })
+      expect(pool.connections.map(({ remote }) => remote)).toEqual([
+        { user: 'deploy', host: 'web1' },
+        { user: 'deploy', host: 'web2' },
+        { user: 'postgres', host: 'db1' },
+      ])
+      expect(pool.connections[0].options.groups).toEqual(['web'])
+      expect(pool.connections[0].options.strict).toBe('no')
+
+      const dbPool = await ConnectionPool.fromInventory(file, {
+        groups: ['db'],
+      })
+      expect(dbPool.connections.map(({ remote }) => remote.host)).toEqual([
+        'db1',
+      ])
+    })
+  })
+
+  describe('sub-pools', () => {
+    let web1
+    let web2
+    let db1
+    let pool
+
+    beforeEach(() => {
+      web1 = new Connection({ remote: 'deploy@web1', groups: ['web'] })
+      web2 = new Connection({
+        remote: 'deploy@web2',
+        groups: ['web'],
+        tags: { region: 'us' },
+      })
+      db1 = new Connection({
+        remote: 'deploy@db1',
+        groups: ['db'],
+        tags: { region: 'eu' },
+      })
+      pool = new ConnectionPool([web1, web2, db1], { concurrency: 2 })
+    })
+
+    it('should expose groups and tags on connections', () => {
+      expect(web1.groups).toEqual(['web'])
+      expect(web1.tags).toEqual({})
+      expect(db1.tags).toEqual({ region: 'eu' })
+    })
+
+    it('should filter connections', () => {
+      const subPool = pool.filter(({ tags }) => tags.region === 'eu')
+      expect(subPool).toBeInstanceOf(ConnectionPool)
+      expect(subPool.connections).toEqual([db1])
+      expect(subPool.connections[0]).toBe(db1)
+      expect(subPool.options).toBe(pool.options)
+    })
+
+    it('should select groups', () => {
+      expect(pool.group('web').connections).toEqual([web1, web2])
+      expect(pool.group('web', 'db').connections).toEqual([web1, web2, db1])
+      expect(pool.group('unknown').connections).toEqual([])
+    })
+
+    it('should pick connections', () => {
+      expect(pool.pick(1).connections).toEqual([web1])
+      expect(pool.group('web').pick(1).connections[0]).toBe(web1)
+    })
+
+    it('should run commands on sub-pool only', async () => {
+      execFile.mockClear()
+      await pool.group('db').run('migrate')
+      expect(
+        execFile.mock.calls.map(([file, args]) => [file, ...args]),
+      ).toEqual([['ssh', 'deploy@db1', 'migrate']])
+    })
+  })
+
   describe('#run', () => {
     let connection1
     let connection2
@@ -49,16 +206,18 @@ describe('ConnectionPool', () => {
       const results = await pool.run('my-command -x', { cwd: '/root' })
       expect(results[0].stdout.toString()).toBe('stdout')
       expect(results[1].stdout.toString()).toBe('stdout')
-      expect(exec).toHaveBeenCalledWith(
-        'ssh deploy@myserver "my-command -x"',
+      expect(execFile).toHaveBeenCalledWith(
+        'ssh',
+        ['deploy@myserver', 'my-command -x'],
         {
           cwd: '/root',
           maxBuffer: 1000 * 1024,
         },
         expect.any(Function),
       )
-      expect(exec).toHaveBeenCalledWith(
-        'ssh deploy@myserver2 "my-command -x"',
+      expect(execFile).toHaveBeenCalledWith(
+        'ssh',
+        ['deploy@myserver2', 'my-command -x'],
         {
           cwd: '/root',
           maxBuffer: 1000 * 1024,
@@ -68,6 +227,379 @@ describe('ConnectionPool', () => {
     })
   })
 
+  describe('file operations', () => {
+    it('should run them on each connection', async () => {
+      const pool = new ConnectionPool(['user@myserver', 'user@myserver2'])
+      execFile.mockClear()
+      const results = await pool.exists('/app/current')
+      expect(results).toEqual([true, true])
+      expect(execFile.mock.calls.map(([, args]) => args)).toEqual([
+        ['user@myserver', 'test -e /app/current'],
+        ['user@myserver2', 'test -e /app/current'],
+      ])
+    })
+  })
+
+  describe('#deployRelease', () => {
+    let recorder
+    let pool
+
+    beforeEach(() => {
+      recorder = new CommandRecorder()
+      pool = new ConnectionPool(['user@myserver', 'user@myserver2'], {
+        transport: recorder.transport,
+      })
+    })
+
+    it('should switch links once uploaded on every connection', async () => {
+      const results = await pool.deployRelease('/build', '/app')
+      const { release } = results[0]
+      expect(results[1].release).toBe(release)
+      const types = recorder
+        .getOperations()
+        .map(({ type, command }) => command || type)
+      const lastUpload = types.lastIndexOf('copyToRemote')
+      const firstActivation = types.findIndex(type => type.startsWith('ln '))
+      expect(lastUpload).toBeLessThan(firstActivation)
+    })
+
+    it('should not switch links if an upload fails', async () => {
+      expect.assertions(2)
+      recorder.reply('mkdir -p /app/releases/1', { host: 'myserver2', code: 1 })
+      try {
+        await pool.deployRelease('/build', '/app', { release: '1' })
+      } catch (error) {
+        expect(error.code).toBe(1)
+        expect(
+          recorder.getCommands().some(command => command.startsWith('ln ')),
+        ).toBe(false)
+      }
+    })
+    it('should return command lines of each host in dry run', async () => {
+      execFile.mockClear()
+      pool = new ConnectionPool(['user@myserver', 'user@myserver2'], {
+        dryRun: true,
+      })
+      const results = await pool.deployRelease('/build', '/app', {
+        release: '1',
+      })
+      expect(results.map(({ commands }) => commands.length)).toEqual([3, 3])
+      expect(execFile).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('stdin', () => {
+    let inputs
+
+    beforeEach(() => {
+      inputs = []
+      execFile.mockClear()
+      // Each connection of the pool runs a command.
+      ;[1, 2].forEach(() =>
+        execFile.mockImplementationOnce((file, args, options, cb) => {
+          const child = { stdin: new PassThrough() }
+          const chunks = []
+          child.stdin.on('data', data => chunks.push(data))
+          child.stdin.on('end', () => {
+            inputs.push(Buffer.concat(chunks).toString())
+            cb(null, Buffer.from(''), Buffer.from(''))
+          })
+          return child
+        }),
+      )
+    })
+
+    it('should write the same string to every connection', async () => {
+      const pool = new ConnectionPool(['user@myserver', 'user@myserver2'])
+      await pool.run('psql', { stdin: 'SELECT 1;' })
+      expect(inputs).toEqual(['SELECT 1;', 'SELECT 1;'])
+    })
+
+    it('should tee a stream to every connection', async () => {
+      const pool = new ConnectionPool(['user@myserver', 'user@myserver2'])
+      const input = new PassThrough()
+      const results = pool.run('psql', { stdin: input })
+      input.write('SELECT ')
+      input.end('1;')
+      await results
+      expect(inputs).toEqual(['SELECT 1;', 'SELECT 1;'])
+    })
+
+    it('should read a stream first when connections run in turns', async () => {
+      const pool = new ConnectionPool(['user@myserver', 'user@myserver2'], {
+        concurrency: 1,
+      })
+      const input = new PassThrough()
+      input.end('SELECT 1;')
+      await pool.writeFile('/tmp/query.sql', input)
+      expect(inputs).toEqual(['SELECT 1;', 'SELECT 1;'])
+      expect(execFile.mock.calls[1][1]).toEqual([
+        'user@myserver2',
+        'tee /tmp/query.sql > /dev/null',
+      ])
+    })
+  })
+
+  describe('#transaction', () => {
+    let pool
+    let steps
+
+    const failOn = host => connection =>
+      connection.remote.host === host
+        ? Promise.reject(new Error(`failed on ${host}`))
+        : Promise.resolve(connection.remote.host)
+
+    beforeEach(() => {
+      pool = new ConnectionPool(['user@a', 'user@b', 'user@c'])
+      steps = {
+        prepare: jest.fn(connection => Promise.resolve(connection.remote.host)),
+        commit: jest.fn(() => Promise.resolve('committed')),
+        rollback: jest.fn(() => Promise.resolve('rolled back')),
+      }
+    })
+
+    it('should commit once prepared on every connection', async () => {
+      const report = await pool.transaction(steps)
+      expect(report.status).toBe('committed')
+      expect(steps.commit).toHaveBeenCalledTimes(3)
+      expect(steps.rollback).not.toHaveBeenCalled()
+      expect(report.hosts.map(host => host.remote.host)).toEqual([
+        'a',
+        'b',
+        'c',
+      ])
+      expect(report.hosts[1].prepare).toMatchObject({
+        status: 'fulfilled',
+        result: 'b',
+      })
+      expect(report.hosts[1].commit.status).toBe('fulfilled')
+      expect(report.hosts[1].rollback.status).toBe('skipped')
+    })
+
+    it('should not commit if prepare failed', async () => {
+      expect.assertions(5)
+      steps.prepare.mockImplementation(failOn('b'))
+      try {
+        await pool.transaction(steps)
+      } catch (error) {
+        expect(error).toBeInstanceOf(TransactionError)
+        expect(error.message).toBe(
+          'Transaction aborted, prepare failed on 1 host(s): b',
+        )
+        expect(error.report.status).toBe('aborted')
+        expect(error.report.hosts[1].prepare.error.message).toBe('failed on b')
+        expect(steps.commit).not.toHaveBeenCalled()
+      }
+    })
+
+    it('should roll back committed connections if a commit failed', async () => {
+      expect.assertions(5)
+      steps.commit.mockImplementation(failOn('b'))
+      try {
+        await pool.transaction(steps)
+      } catch (error) {
+        expect(error.report.status).toBe('rolledBack')
+        expect(error.hosts).toEqual(['b'])
+        expect(
+          steps.rollback.mock.calls.map(
+            ([connection]) => connection.remote.host,
+          ),
+        ).toEqual(['a', 'c'])
+        expect(error.report.hosts[0].rollback).toMatchObject({
+          status: 'fulfilled',
+          result: 'rolled back',
+        })
+        expect(error.report.hosts[1].rollback.status).toBe('skipped')
+      }
+    })
+
+    it('should skip remaining batches after a failed commit', async () => {
+      expect.assertions(3)
+      pool = new ConnectionPool(['user@a', 'user@b', 'user@c'], {
+        batchSize: 1,
+      })
+      steps.commit.mockImplementation(failOn('b'))
+      steps.rollback.mockImplementation(failOn('a'))
+      try {
+        await pool.transaction(steps)
+      } catch (error) {
+        expect(error.report.hosts[2].commit.status).toBe('skipped')
+        expect(steps.rollback).toHaveBeenCalledTimes(1)
+        expect(error.report.hosts[0].rollback.error.message).toBe('failed on a')
+      }
+    })
+  })
+
+  describe('events', () => {
+    it('should forward events of connections', async () => {
+      const pool = new ConnectionPool(['user@myserver', 'user@myserver2'])
+      const onStart = jest.fn()
+      const onEnd = jest.fn()
+      pool.on('command:start', onStart)
+      pool.on('command:start', onStart)
+      pool.on('command:end', onEnd)
+      await pool.run('my-command -x')
+      expect(onStart).toHaveBeenCalledTimes(4)
+      expect(onEnd).toHaveBeenCalledTimes(2)
+      expect(onEnd).toHaveBeenCalledWith(
+        expect.objectContaining({
+          host: 'myserver2',
+          connection: pool.connections[1],
+          code: 0,
+        }),
+      )
+    })
+
+    it('should detach from connections once listeners are removed', async () => {
+      expect.assertions(4)
+      const pool = new ConnectionPool(['user@myserver', 'user@myserver2'])
+      const onError = jest.fn()
+      const onEnd = jest.fn()
+      pool.on('error', onError)
+      pool.removeListener('error', onError)
+      const subPool = pool.filter(() => true)
+      subPool.on('command:end', onEnd)
+      subPool.removeAllListeners('command:end')
+      expect(pool.connections[0].listenerCount('error')).toBe(0)
+      expect(pool.connections[0].listenerCount('command:end')).toBe(0)
+      __failNextExec__()
+      try {
+        await pool.run('my-command -x')
+      } catch (error) {
+        expect(error).toBeInstanceOf(CommandError)
+        expect(onError).not.toHaveBeenCalled()
+      }
+    })
+
+    it('should not emit "error" without listener', async () => {
+      expect.assertions(1)
+      const pool = new ConnectionPool(['user@myserver'])
+      const onError = jest.fn()
+      pool.once('error', onError)
+      pool.on('command:end', jest.fn())
+      pool.connections[0].emitEvent('error', { error: new Error('first') })
+      __failNextExec__()
+      try {
+        await pool.run('my-command -x')
+      } catch (error) {
+        expect(error).toBeInstanceOf(CommandError)
+      }
+    })
+  })
+
+  describe('dryRun', () => {
+    it('should return command lines per host', async () => {
+      const pool = new ConnectionPool(['user@myserver', 'user@myserver2'], {
+        dryRun: true,
+      })
+      execFile.mockClear()
+      const results = await pool.run('my-command -x')
+      expect(execFile).not.toHaveBeenCalled()
+      expect(results.map(({ commands }) => commands)).toEqual([
+        ["ssh user@myserver 'my-command -x'"],
+        ["ssh user@myserver2 'my-command -x'"],
+      ])
+    })
+  })
+
+  describe('signal', () => {
+    it('should abort command on every connection', async () => {
+      expect.assertions(3)
+      execFile.mockClear()
+      const pool = new ConnectionPool(['deploy@myserver', 'deploy@myserver2'], {
+        settle: true,
+      })
+      try {
+        await pool.run('my-command -x', { signal: { aborted: true } })
+      } catch (error) {
+        expect(error.failures.length).toBe(2)
+        expect(error.failures[0].error).toBeInstanceOf(AbortError)
+      }
+      expect(execFile).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('#open / #close', () => {
+    it('should open and close every connection', async () => {
+      execFile.mockClear()
+      const pool = new ConnectionPool(['deploy@myserver', 'deploy@myserver2'], {
+        multiplex: { controlPath: '/tmp/%C' },
+      })
+      await pool.open()
+      await pool.close()
+      expect(
+        execFile.mock.calls.map(([file, args]) => [file, ...args]),
+      ).toEqual([
+        [
+          'ssh',
+          '-o',
+          'ControlMaster=auto',
+          '-o',
+          'ControlPath=/tmp/%C',
+          '-o',
+          'ControlPersist=10m',
+          'deploy@myserver',
+          'true',
+        ],
+        [
+          'ssh',
+          '-o',
+          'ControlMaster=auto',
+          '-o',
+          'ControlPath=/tmp/%C',
+          '-o',
+          'ControlPersist=10m',
+          'deploy@myserver2',
+          'true',
+        ],
+        [
+          'ssh',
+          '-o',
+          'ControlMaster=auto',
+          '-o',
+          'ControlPath=/tmp/%C',
+          '-o',
+          'ControlPersist=10m',
+          '-O',
+          'exit',
+          'deploy@myserver',
+        ],
+        [
+          'ssh',
+          '-o',
+          'ControlMaster=auto',
+          '-o',
+          'ControlPath=/tmp/%C',
+          '-o',
+          'ControlPersist=10m',
+          '-O',
+          'exit',
+          'deploy@myserver2',
+        ],
+      ])
+    })
+  })
+
+  describe('#stream', () => {
+    it('should stream command on each connection', () => {
+      const pool = new ConnectionPool(['deploy@myserver', 'deploy@myserver2'])
+      const group = pool.stream('tail -f log')
+      expect(group.streams.length).toBe(2)
+      expect(group.streams[0].remote.host).toBe('myserver')
+      expect(group.streams[1].remote.host).toBe('myserver2')
+      expect(spawn).toHaveBeenCalledWith(
+        'ssh',
+        ['deploy@myserver', 'tail -f log'],
+        {},
+      )
+      expect(spawn).toHaveBeenCalledWith(
+        'ssh',
+        ['deploy@myserver2', 'tail -f log'],
+        {},
+      )
+    })
+  })
+
   describe('#copy', () => {
     let connection1
     let connection2
@@ -84,17 +616,183 @@ describe('ConnectionPool', () => {
       expect(results[0].stdout.toString()).toBe('stdout')
       expect(results[1].stdout.toString()).toBe('stdout')
 
-      expect(exec).toHaveBeenCalledWith(
-        'rsync --archive --compress --rsh "ssh" /src/dir deploy@myserver:/dest/dir',
+      expect(execFile).toHaveBeenCalledWith(
+        'rsync',
+        [
+          '--archive',
+          '--compress',
+          '--rsh',
+          'ssh',
+          '/src/dir',
+          'deploy@myserver:/dest/dir',
+        ],
         { maxBuffer: 1024000 },
         expect.any(Function),
       )
 
-      expect(exec).toHaveBeenCalledWith(
-        'rsync --archive --compress --rsh "ssh" /src/dir deploy@myserver2:/dest/dir',
+      expect(execFile).toHaveBeenCalledWith(
+        'rsync',
+        [
+          '--archive',
+          '--compress',
+          '--rsh',
+          'ssh',
+          '/src/dir',
+          'deploy@myserver2:/dest/dir',
+        ],
         { maxBuffer: 1024000 },
         expect.any(Function),
       )
     })
   })
+
+  describe('concurrency', () => {
+    let running
+    let maxRunning
+    let events
+    let pool
+
+    beforeEach(() => {
+      running = 0
+      maxRunning = 0
+      events = []
+      const connections = ['a', 'b', 'c', 'd', 'e'].map(host => {
+        const connection = new Connection({ remote: `deploy@${host}` })
+        connection.run = jest.fn(async () => {
+          running += 1
+          maxRunning = Math.max(maxRunning, running)
+          events.push(`start ${host}`)
+          await new Promise(resolve => setTimeout(resolve, 5))
+          events.push(`end ${host}`)
+          running -= 1
+          return host
+        })
+        return connection
+      })
+      pool = new ConnectionPool(connections)
+    })
+
+    it('should run every connection at once by default', async () => {
+      const results = await pool.run('my-command')
+      expect(results).toEqual(['a', 'b', 'c', 'd', 'e'])
+      expect(maxRunning).toBe(5)
+    })
+
+    it('should support "concurrency" option', async () => {
+      pool.options = { concurrency: 2 }
+      const results = await pool.run('my-command')
+      expect(results).toEqual(['a', 'b', 'c', 'd', 'e'])
+      expect(maxRunning).toBe(2)
+    })
+
+    it('should support "batchSize" option', async () => {
+      pool.options = { batchSize: 2 }
+      const results = await pool.run('my-command')
+      expect(results).toEqual(['a', 'b', 'c', 'd', 'e'])
+      expect(maxRunning).toBe(2)
+      expect(events.indexOf('start c')).toBeGreaterThan(events.indexOf('end b'))
+      expect(events.indexOf('start e')).toBeGreaterThan(events.indexOf('end d'))
+    })
+
+    it('should stop rolling batches when one fails', async () => {
+      expect.assertions(2)
+      pool.options = { batchSize: 2 }
+      pool.connections[1].run = jest.fn(async () => {
+        throw new Error('bad')
+      })
+      try {
+        await pool.run('my-command')
+      } catch (error) {
+        expect(error.message).toBe('bad')
+      }
+      expect(pool.connections[2].run).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('settle', () => {
+    let pool
+
+    beforeEach(() => {
+      const connections = ['a', 'b', 'c'].map(host => {
+        const connection = new Connection({ remote: `deploy@${host}` })
+        connection.run = jest.fn(async () => ({
+          stdout: `${host} out`,
+          stderr: `${host} err`,
+        }))
+        return connection
+      })
+      pool = new ConnectionPool(connections, { settle: true })
+    })
+
+    it('should return per-connection results', async () => {
+      const results = await pool.run('my-command')
+      expect(results).toEqual([
+        {
+          connection: pool.connections[0],
+          remote: { user: 'deploy', host: 'a' },
+          status: 'fulfilled',
+          result: { stdout: 'a out', stderr: 'a err' },
+          stdout: 'a out',
+          stderr: 'a err',
+          code: 0,
+        },
+        expect.objectContaining({ status: 'fulfilled', stdout: 'b out' }),
+        expect.objectContaining({ status: 'fulfilled', stdout: 'c out' }),
+      ])
+    })
+
+    it('should wait for every connection and report failures', async () => {
+      expect.assertions(5)
+      const error = new Error('bad')
+      error.code = 2
+      error.stdout = 'b out'
+      error.stderr = 'b err'
+      pool.connections[1].run = jest.fn(async () => {
+        throw error
+      })
+
+      try {
+        await pool.run('my-command')
+      } catch (poolError) {
+        expect(poolError.name).toBe('ConnectionPoolError')
+        expect(poolError.message).toBe('Failed on 1 host(s): b')
+        expect(poolError.hosts).toEqual(['b'])
+        expect(poolError.failures).toEqual([
+          {
+            connection: pool.connections[1],
+            remote: { user: 'deploy', host: 'b' },
+            status: 'rejected',
+            error,
+            stdout: 'b out',
+            stderr: 'b err',
+            code: 2,
+          },
+        ])
+        expect(poolError.results.map(({ status }) => status)).toEqual([
+          'fulfilled',
+          'rejected',
+          'fulfilled',
+        ])
+      }
+    })
+
+    it('should skip remaining batches after a failure', async () => {
+      expect.assertions(2)
+      pool.options.batchSize = 2
+      pool.connections[0].run = jest.fn(async () => {
+        throw new Error('bad')
+      })
+
+      try {
+        await pool.run('my-command')
+      } catch (poolError) {
+        expect(poolError.results.map(({ status }) => status)).toEqual([
+          'rejected',
+          'fulfilled',
+          'skipped',
+        ])
+      }
+      expect(pool.connections[2].run).not.toHaveBeenCalled()
+    })
+  })
 })
@@ -0,0 +1,63 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+// Secrets are read from environment, they never appear in the script or in arguments.
+const ASKPASS_SCRIPT = `#!/bin/sh
+case "$1" in
+  *assphrase*) printf '%s\\n' "$SSH_POOL_PASSPHRASE" ;;
+  *assword*) printf '%s\\n' "$SSH_POOL_PASSWORD" ;;
+  *) exit 1 ;;
+esac
+`
+
+let askpassScript = null
+
+function removeAskpassScript() {
+  try {
+    fs.unlinkSync(askpassScript)
+    fs.rmdirSync(path.dirname(askpassScript))
+  } catch (error) {
+    // Already removed.
+  }
+}
+
+/**
+ * Get the path of the askpass helper, it is created once per process.
+ * It is created synchronously to be usable when spawning streams.
+ *
+ * @returns {string} Path of the script
+ */
+export function getAskpassScript() {
+  if (askpassScript) return askpassScript
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ssh-pool-'))
+  const file = path.join(dir, 'askpass.sh')
+  fs.writeFileSync(file, ASKPASS_SCRIPT, { mode: 0o700 })
+  askpassScript = file
+  process.once('exit', removeAskpassScript)
+  return askpassScript
+}
+
+/**
+ * Format the environment making ssh ask secrets to the askpass helper.
+ *
+ * @param {object} secrets Secrets
+ * @param {string} [secrets.password] Password of the remote user
+ * @param {string} [secrets.passphrase] Passphrase of the key
+ * @param {object} [env] Base environment
+ * @returns {object} Environment
+ */
+export function formatAskpassEnv({ password, passphrase }, env = process.env) {
+  let askpassEnv = {
+    ...env,
+    SSH_ASKPASS: getAskpassScript(),
+    SSH_ASKPASS_REQUIRE: 'force',
+    // Required by OpenSSH before 8.4 which ignores SSH_ASKPASS_REQUIRE.
+    DISPLAY: env.DISPLAY || ':0',
+  }
+  if (password !== undefined)
+    askpassEnv = { ...askpassEnv, SSH_POOL_PASSWORD: String(password) }
+  if (passphrase !== undefined)
+    askpassEnv = { ...askpassEnv, SSH_POOL_PASSPHRASE: String(passphrase) }
+  return askpassEnv
+}
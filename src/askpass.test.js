@@ -0,0 +1,49 @@
+import fs from 'fs'
+import { execFileSync } from 'child_process'
+import { getAskpassScript, formatAskpassEnv } from './askpass'
+
+describe('askpass', () => {
+  describe('#getAskpassScript', () => {
+    it('should create an executable script once', () => {
+      const script = getAskpassScript()
+      // eslint-disable-next-line no-bitwise
+      expect(fs.statSync(script).mode & 0o777).toBe(0o700)
+      expect(getAskpassScript()).toBe(script)
+    })
+
+    it('should answer prompts from environment', () => {
+      const env = formatAskpassEnv({ password: 'pwd', passphrase: 'phrase' })
+      const ask = prompt =>
+        execFileSync(getAskpassScript(), [prompt], { env }).toString()
+      expect(ask("user@host's password: ")).toBe('pwd\n')
+      expect(ask("Enter passphrase for key '/path/to/key': ")).toBe('phrase\n')
+      expect(() =>
+        ask('Are you sure you want to continue connecting?'),
+      ).toThrow()
+    })
+
+    it('should not contain secrets', () => {
+      formatAskpassEnv({ password: 'pwd' })
+      expect(fs.readFileSync(getAskpassScript(), 'utf8')).not.toMatch('pwd')
+    })
+  })
+
+  describe('#formatAskpassEnv', () => {
+    it('should force askpass', () => {
+      expect(formatAskpassEnv({ password: 'pwd' }, { FOO: 'bar' })).toEqual({
+        FOO: 'bar',
+        SSH_ASKPASS: getAskpassScript(),
+        SSH_ASKPASS_REQUIRE: 'force',
+        DISPLAY: ':0',
+        SSH_POOL_PASSWORD: 'pwd',
+      })
+    })
+
+    it('should keep DISPLAY and only define given secrets', () => {
+      const env = formatAskpassEnv({ passphrase: 'phrase' }, { DISPLAY: ':1' })
+      expect(env.DISPLAY).toBe(':1')
+      expect(env.SSH_POOL_PASSPHRASE).toBe('phrase')
+      expect(env).not.toHaveProperty('SSH_POOL_PASSWORD')
+    })
+  })
+})
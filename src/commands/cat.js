@@ -0,0 +1,10 @@
+import { quoteArgs, requireArgs } from './util'
+
+export function formatCatArgs({ file }) {
+  requireArgs(['file'], { file }, 'cat')
+  return ['cat', file]
+}
+
+export function formatCatCommand(options) {
+  return quoteArgs(formatCatArgs(options))
+}
@@ -0,0 +1,17 @@
+import { formatCatCommand } from './cat'
+
+describe('cat', () => {
+  describe('#formatCatCommand', () => {
+    describe('without "file"', () => {
+      it('should throw an error', () => {
+        expect(() => formatCatCommand({})).toThrow(
+          '"file" argument is required in "cat" command',
+        )
+      })
+    })
+
+    it('should format command', () => {
+      expect(formatCatCommand({ file: '/my file' })).toBe("cat '/my file'")
+    })
+  })
+})
@@ -1,7 +1,7 @@
-import { joinCommandArgs, requireArgs } from './util'
+import { quoteArgs, requireArgs } from './util'
 
 export function formatCdCommand({ folder }) {
   requireArgs(['folder'], { folder }, 'cd')
   const args = ['cd', folder]
-  return joinCommandArgs(args)
+  return quoteArgs(args)
 }
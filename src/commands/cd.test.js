@@ -13,5 +13,9 @@ describe('mkdir', () => {
     it('should format command', () => {
       expect(formatCdCommand({ folder: 'xxx' })).toBe('cd xxx')
     })
+
+    it('should quote folder', () => {
+      expect(formatCdCommand({ folder: 'my dir' })).toBe("cd 'my dir'")
+    })
   })
 })
@@ -0,0 +1,10 @@
+import { quoteArgs, requireArgs } from './util'
+
+export function formatExistsArgs({ file }) {
+  requireArgs(['file'], { file }, 'test')
+  return ['test', '-e', file]
+}
+
+export function formatExistsCommand(options) {
+  return quoteArgs(formatExistsArgs(options))
+}
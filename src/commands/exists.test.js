@@ -0,0 +1,19 @@
+import { formatExistsCommand } from './exists'
+
+describe('exists', () => {
+  describe('#formatExistsCommand', () => {
+    describe('without "file"', () => {
+      it('should throw an error', () => {
+        expect(() => formatExistsCommand({})).toThrow(
+          '"file" argument is required in "test" command',
+        )
+      })
+    })
+
+    it('should format command', () => {
+      expect(formatExistsCommand({ file: '~/my file' })).toBe(
+        "test -e ~/'my file'",
+      )
+    })
+  })
+})
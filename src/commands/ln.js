@@ -0,0 +1,11 @@
+import { quoteArgs, requireArgs } from './util'
+
+// An existing link is replaced, even if it targets a directory.
+export function formatLnArgs({ target, link }) {
+  requireArgs(['target', 'link'], { target, link }, 'ln')
+  return ['ln', '-nfs', target, link]
+}
+
+export function formatLnCommand(options) {
+  return quoteArgs(formatLnArgs(options))
+}
@@ -0,0 +1,22 @@
+import { formatLnCommand } from './ln'
+
+describe('ln', () => {
+  describe('#formatLnCommand', () => {
+    describe('without "target" or "link"', () => {
+      it('should throw an error', () => {
+        expect(() => formatLnCommand({ link: 'current' })).toThrow(
+          '"target" argument is required in "ln" command',
+        )
+        expect(() => formatLnCommand({ target: 'releases/1' })).toThrow(
+          '"link" argument is required in "ln" command',
+        )
+      })
+    })
+
+    it('should format command', () => {
+      expect(
+        formatLnCommand({ target: 'releases/my release', link: 'current' }),
+      ).toBe("ln -nfs 'releases/my release' current")
+    })
+  })
+})
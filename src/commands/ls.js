@@ -0,0 +1,20 @@
+import { quoteArgs, requireArgs } from './util'
+
+export function formatLsArgs({ folder }) {
+  requireArgs(['folder'], { folder }, 'ls')
+  return ['ls', '-1A', folder]
+}
+
+export function formatLsCommand(options) {
+  return quoteArgs(formatLsArgs(options))
+}
+
+/**
+ * Parse the output of `ls -1A`, one entry per line.
+ *
+ * @param {string|Buffer} output Output
+ * @returns {string[]} Entries
+ */
+export function parseLsOutput(output) {
+  return String(output).split('\n').filter(entry => entry !== '')
+}
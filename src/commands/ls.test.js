@@ -0,0 +1,28 @@
+import { formatLsCommand, parseLsOutput } from './ls'
+
+describe('ls', () => {
+  describe('#formatLsCommand', () => {
+    describe('without "folder"', () => {
+      it('should throw an error', () => {
+        expect(() => formatLsCommand({})).toThrow(
+          '"folder" argument is required in "ls" command',
+        )
+      })
+    })
+
+    it('should format command', () => {
+      expect(formatLsCommand({ folder: '/my dir' })).toBe("ls -1A '/my dir'")
+    })
+  })
+
+  describe('#parseLsOutput', () => {
+    it('should return entries', () => {
+      expect(parseLsOutput(Buffer.from('.env\na file\nb\n'))).toEqual([
+        '.env',
+        'a file',
+        'b',
+      ])
+      expect(parseLsOutput('')).toEqual([])
+    })
+  })
+})
@@ -1,7 +1,10 @@
-import { joinCommandArgs, requireArgs } from './util'
+import { quoteArgs, requireArgs } from './util'
 
-export function formatMkdirCommand({ folder }) {
+export function formatMkdirArgs({ folder }) {
   requireArgs(['folder'], { folder }, 'mkdir')
-  const args = ['mkdir', '-p', folder]
-  return joinCommandArgs(args)
+  return ['mkdir', '-p', folder]
+}
+
+export function formatMkdirCommand(options) {
+  return quoteArgs(formatMkdirArgs(options))
 }
@@ -13,5 +13,11 @@ describe('mkdir', () => {
     it('should format command', () => {
       expect(formatMkdirCommand({ folder: 'xxx' })).toBe('mkdir -p xxx')
     })
+
+    it('should quote folder and keep home expansion', () => {
+      expect(formatMkdirCommand({ folder: '~/my dir' })).toBe(
+        "mkdir -p ~/'my dir'",
+      )
+    })
   })
 })
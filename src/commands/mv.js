@@ -0,0 +1,11 @@
+import { quoteArgs, requireArgs } from './util'
+
+// "dest" is always replaced, even if it is a link to a directory (GNU mv).
+export function formatMvArgs({ src, dest }) {
+  requireArgs(['src', 'dest'], { src, dest }, 'mv')
+  return ['mv', '-T', src, dest]
+}
+
+export function formatMvCommand(options) {
+  return quoteArgs(formatMvArgs(options))
+}
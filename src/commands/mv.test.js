@@ -0,0 +1,22 @@
+import { formatMvCommand } from './mv'
+
+describe('mv', () => {
+  describe('#formatMvCommand', () => {
+    describe('without "src" or "dest"', () => {
+      it('should throw an error', () => {
+        expect(() => formatMvCommand({ dest: 'current' })).toThrow(
+          '"src" argument is required in "mv" command',
+        )
+        expect(() => formatMvCommand({ src: 'current.tmp' })).toThrow(
+          '"dest" argument is required in "mv" command',
+        )
+      })
+    })
+
+    it('should format command', () => {
+      expect(formatMvCommand({ src: 'current.tmp', dest: '/my app' })).toBe(
+        "mv -T current.tmp '/my app'",
+      )
+    })
+  })
+})
@@ -1,11 +1,11 @@
-import { joinCommandArgs } from './util'
+import { joinCommandArgs, quoteArg } from './util'
 import { deprecateV3 } from '../util'
 
 const SUDO_REGEXP = /sudo\s/
 
 export function formatRawCommand({ asUser, command }) {
   let args = []
-  if (asUser) args = [...args, 'sudo', '-u', asUser]
+  if (asUser) args = [...args, 'sudo', '-u', quoteArg(asUser)]
   // Deprecate
   if (asUser && command) {
     if (command.match(SUDO_REGEXP)) {
@@ -0,0 +1,10 @@
+import { quoteArgs, requireArgs } from './util'
+
+export function formatReadlinkArgs({ file }) {
+  requireArgs(['file'], { file }, 'readlink')
+  return ['readlink', file]
+}
+
+export function formatReadlinkCommand(options) {
+  return quoteArgs(formatReadlinkArgs(options))
+}
@@ -0,0 +1,19 @@
+import { formatReadlinkCommand } from './readlink'
+
+describe('readlink', () => {
+  describe('#formatReadlinkCommand', () => {
+    describe('without "file"', () => {
+      it('should throw an error', () => {
+        expect(() => formatReadlinkCommand({})).toThrow(
+          '"file" argument is required in "readlink" command',
+        )
+      })
+    })
+
+    it('should format command', () => {
+      expect(formatReadlinkCommand({ file: '/app/current' })).toBe(
+        'readlink /app/current',
+      )
+    })
+  })
+})
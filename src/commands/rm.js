@@ -1,7 +1,13 @@
-import { joinCommandArgs, requireArgs } from './util'
+import { quoteArgs, requireArgs } from './util'
 
-export function formatRmCommand({ file }) {
+export function formatRmArgs({ file, recursive, force }) {
   requireArgs(['file'], { file }, 'rm')
-  const args = ['rm', file]
-  return joinCommandArgs(args)
+  let args = ['rm']
+  if (recursive) args = [...args, '-r']
+  if (force) args = [...args, '-f']
+  return [...args, file]
+}
+
+export function formatRmCommand(options) {
+  return quoteArgs(formatRmArgs(options))
 }
@@ -13,5 +13,15 @@ describe('rm', () => {
     it('should format command', () => {
       expect(formatRmCommand({ file: 'xxx' })).toBe('rm xxx')
     })
+
+    it('should support "recursive" and "force"', () => {
+      expect(
+        formatRmCommand({ file: 'xxx', recursive: true, force: true }),
+      ).toBe('rm -r -f xxx')
+    })
+
+    it('should quote file', () => {
+      expect(formatRmCommand({ file: 'x; rm -rf /' })).toBe("rm 'x; rm -rf /'")
+    })
   })
 })
@@ -1,29 +1,34 @@
 import whereis from 'whereis'
-import { wrapCommand, joinCommandArgs, requireArgs } from './util'
+import { quoteArg, joinCommandArgs, requireArgs } from './util'
 
 export async function checkRsyncAvailability() {
   return new Promise(resolve => whereis('rsync', err => resolve(!err)))
 }
 
-function formatExcludes(excludes) {
+function formatExcludes(excludes, quote) {
   return excludes.reduce(
-    (args, current) => [...args, '--exclude', `"${current}"`],
+    (args, current) => [...args, '--exclude', quote(current)],
     [],
   )
 }
 
-export function formatRsyncCommand({
-  src,
-  dest,
-  excludes,
-  additionalArgs,
-  remoteShell,
-}) {
+function formatArgs(
+  { src, dest, excludes, additionalArgs, remoteShell },
+  quote,
+) {
   requireArgs(['src', 'dest'], { src, dest }, 'rsync')
   let args = ['rsync', '--archive', '--compress']
+  // Additional arguments are never quoted, in a command they may use shell features.
   if (additionalArgs) args = [...args, ...additionalArgs]
-  if (excludes) args = [...args, ...formatExcludes(excludes)]
-  if (remoteShell) args = [...args, '--rsh', wrapCommand(remoteShell)]
-  args = [...args, src, dest]
-  return joinCommandArgs(args)
+  if (excludes) args = [...args, ...formatExcludes(excludes, quote)]
+  if (remoteShell) args = [...args, '--rsh', quote(remoteShell)]
+  return [...args, quote(src), quote(dest)]
+}
+
+export function formatRsyncArgs(options) {
+  return formatArgs(options, arg => arg)
+}
+
+export function formatRsyncCommand(options) {
+  return joinCommandArgs(formatArgs(options, quoteArg))
 }
@@ -1,4 +1,4 @@
-import { formatRsyncCommand } from './rsync'
+import { formatRsyncArgs, formatRsyncCommand } from './rsync'
 
 describe('rsync', () => {
   describe('#formatRsyncCommand', () => {
@@ -39,7 +39,7 @@ describe('rsync', () => {
           dest: 'foo/',
           excludes: ['foo'],
         }),
-      ).toBe('rsync --archive --compress --exclude "foo" file.js foo/')
+      ).toBe('rsync --archive --compress --exclude foo file.js foo/')
     })
 
     it('should support remoteShell', () => {
@@ -49,7 +49,30 @@ describe('rsync', () => {
           dest: 'foo/',
           remoteShell: 'ssh',
         }),
-      ).toBe('rsync --archive --compress --rsh "ssh" file.js foo/')
+      ).toBe('rsync --archive --compress --rsh ssh file.js foo/')
+    })
+  })
+
+  describe('#formatRsyncArgs', () => {
+    it('should not quote arguments', () => {
+      expect(
+        formatRsyncArgs({
+          src: 'my file.js',
+          dest: 'user@host:foo/',
+          excludes: ['*.log'],
+          remoteShell: 'ssh -p 2222',
+        }),
+      ).toEqual([
+        'rsync',
+        '--archive',
+        '--compress',
+        '--exclude',
+        '*.log',
+        '--rsh',
+        'ssh -p 2222',
+        'my file.js',
+        'user@host:foo/',
+      ])
     })
   })
 })
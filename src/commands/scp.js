@@ -1,10 +1,29 @@
-import { joinCommandArgs, requireArgs } from './util'
+import { quoteArgs, requireArgs } from './util'
+import { formatControlArgs, formatProxyArgs } from './ssh'
 
-export function formatScpCommand({ port, key, src, dest }) {
+export function formatScpArgs({
+  port,
+  key,
+  proxyJump,
+  controlMaster,
+  controlPath,
+  controlPersist,
+  src,
+  dest,
+}) {
   requireArgs(['src', 'dest'], { src, dest }, 'scp')
   let args = ['scp']
   if (port) args = [...args, '-P', port]
   if (key) args = [...args, '-i', key]
+  args = [...args, ...formatProxyArgs(proxyJump, { jumpFlag: false })]
+  args = [
+    ...args,
+    ...formatControlArgs({ controlMaster, controlPath, controlPersist }),
+  ]
   args = [...args, src, dest]
-  return joinCommandArgs(args)
+  return args
+}
+
+export function formatScpCommand(options) {
+  return quoteArgs(formatScpArgs(options))
 }
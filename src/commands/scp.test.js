@@ -1,4 +1,4 @@
-import { formatScpCommand } from './scp'
+import { formatScpArgs, formatScpCommand } from './scp'
 
 describe('scp', () => {
   describe('#formatScpCommand', () => {
@@ -37,5 +37,39 @@ describe('scp', () => {
         }),
       ).toBe('scp -i foo file.js foo/')
     })
+
+    it('should support proxyJump', () => {
+      expect(
+        formatScpCommand({
+          src: 'file.js',
+          dest: 'foo/',
+          proxyJump: [{ user: 'user', host: 'bastion' }],
+        }),
+      ).toBe('scp -o ProxyJump=user@bastion file.js foo/')
+    })
+
+    it('should support control options', () => {
+      expect(
+        formatScpCommand({
+          src: 'file.js',
+          dest: 'foo/',
+          controlMaster: 'auto',
+          controlPath: '/tmp/%C',
+          controlPersist: '10m',
+        }),
+      ).toBe(
+        'scp -o ControlMaster=auto -o ControlPath=/tmp/%C -o ControlPersist=10m file.js foo/',
+      )
+    })
+  })
+
+  describe('#formatScpArgs', () => {
+    it('should not quote arguments', () => {
+      expect(formatScpArgs({ src: 'my file.js', dest: 'host:foo/' })).toEqual([
+        'scp',
+        'my file.js',
+        'host:foo/',
+      ])
+    })
   })
 })
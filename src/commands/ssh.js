@@ -1,13 +1,84 @@
-import { joinCommandArgs, wrapCommand } from './util'
+import { isIPv6 } from '../remote'
+import { quoteArgs } from './util'
 
-export function formatSshCommand({ port, key, strict, tty, remote, command }) {
+export function formatControlArgs({
+  controlMaster,
+  controlPath,
+  controlPersist,
+}) {
+  let args = []
+  if (controlMaster) args = [...args, '-o', `ControlMaster=${controlMaster}`]
+  if (controlPath) args = [...args, '-o', `ControlPath=${controlPath}`]
+  if (controlPersist) args = [...args, '-o', `ControlPersist=${controlPersist}`]
+  return args
+}
+
+function formatHop({ user, host, port }) {
+  let hop = isIPv6(host) ? `[${host}]` : host
+  if (user) hop = `${user}@${hop}`
+  if (port) hop = `${hop}:${port}`
+  return hop
+}
+
+function escapeTokens(command) {
+  return command.replace(/%/g, '%%')
+}
+
+export function formatProxyCommand(hops) {
+  const { user, host, port, key } = hops[hops.length - 1]
+  const previousHops = hops.slice(0, -1)
+  let args = ['ssh']
+  if (port) args = [...args, '-p', port]
+  if (key) args = [...args, '-i', key]
+  // Tokens of nested proxy commands must not be expanded by this one.
+  if (previousHops.length > 0) {
+    const proxyCommand = escapeTokens(formatProxyCommand(previousHops))
+    args = [...args, '-o', `ProxyCommand=${proxyCommand}`]
+  }
+  args = [...args, '-W', '%h:%p', user ? `${user}@${host}` : host]
+  return quoteArgs(args)
+}
+
+export function formatProxyArgs(proxyJump, { jumpFlag = true } = {}) {
+  if (!proxyJump || proxyJump.length === 0) return []
+  // ProxyJump does not support keys, fallback to ProxyCommand.
+  if (proxyJump.some(({ key }) => key)) {
+    return ['-o', `ProxyCommand=${formatProxyCommand(proxyJump)}`]
+  }
+  const hops = proxyJump.map(formatHop).join(',')
+  return jumpFlag ? ['-J', hops] : ['-o', `ProxyJump=${hops}`]
+}
+
+export function formatSshArgs({
+  port,
+  key,
+  strict,
+  tty,
+  proxyJump,
+  controlMaster,
+  controlPath,
+  controlPersist,
+  controlCommand,
+  remote,
+  command,
+}) {
   let args = ['ssh']
   if (tty) args = [...args, '-tt']
   if (port) args = [...args, '-p', port]
   if (key) args = [...args, '-i', key]
   if (strict !== undefined)
     args = [...args, '-o', `StrictHostKeyChecking=${strict}`]
+  args = [...args, ...formatProxyArgs(proxyJump)]
+  args = [
+    ...args,
+    ...formatControlArgs({ controlMaster, controlPath, controlPersist }),
+  ]
+  if (controlCommand) args = [...args, '-O', controlCommand]
   if (remote) args = [...args, remote]
-  if (command) args = [...args, wrapCommand(command)]
-  return joinCommandArgs(args)
+  if (command) args = [...args, command]
+  return args
+}
+
+export function formatSshCommand(options) {
+  return quoteArgs(formatSshArgs(options))
 }
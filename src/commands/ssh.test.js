@@ -1,4 +1,4 @@
-import { formatSshCommand } from './ssh'
+import { formatSshArgs, formatSshCommand } from './ssh'
 
 describe('ssh', () => {
   describe('#formatSshCommand', () => {
@@ -29,6 +29,67 @@ describe('ssh', () => {
       )
     })
 
+    it('should support proxyJump', () => {
+      expect(
+        formatSshCommand({
+          proxyJump: [{ user: 'user', host: 'bastion', port: 2222 }],
+        }),
+      ).toBe('ssh -J user@bastion:2222')
+      expect(
+        formatSshCommand({
+          proxyJump: [{ host: 'bastion1' }, { host: 'bastion2' }],
+        }),
+      ).toBe('ssh -J bastion1,bastion2')
+      expect(
+        formatSshCommand({
+          proxyJump: [{ user: 'j', host: '::1', port: 2222 }, { host: '::2' }],
+        }),
+      ).toBe("ssh -J 'j@[::1]:2222,[::2]'")
+    })
+
+    it('should use ProxyCommand when a hop has a key', () => {
+      expect(
+        formatSshCommand({
+          proxyJump: [{ user: 'user', host: 'bastion', key: 'foo' }],
+        }),
+      ).toBe("ssh -o 'ProxyCommand=ssh -i foo -W %h:%p user@bastion'")
+    })
+
+    it('should nest ProxyCommand for chained hops', () => {
+      expect(
+        formatSshCommand({
+          proxyJump: [
+            { host: 'bastion1', key: 'foo' },
+            { host: 'bastion2', port: 2222 },
+          ],
+        }),
+      ).toBe(
+        "ssh -o 'ProxyCommand=ssh -p 2222 -o '\\''ProxyCommand=ssh -i foo -W %%h:%%p bastion1'\\'' -W %h:%p bastion2'",
+      )
+    })
+
+    it('should support control options', () => {
+      expect(
+        formatSshCommand({
+          controlMaster: 'auto',
+          controlPath: '/tmp/%C',
+          controlPersist: '10m',
+        }),
+      ).toBe(
+        'ssh -o ControlMaster=auto -o ControlPath=/tmp/%C -o ControlPersist=10m',
+      )
+    })
+
+    it('should support control command', () => {
+      expect(
+        formatSshCommand({
+          controlPath: '/tmp/%C',
+          controlCommand: 'exit',
+          remote: 'user@host',
+        }),
+      ).toBe('ssh -o ControlPath=/tmp/%C -O exit user@host')
+    })
+
     it('should support remote', () => {
       expect(
         formatSshCommand({
@@ -43,7 +104,19 @@ describe('ssh', () => {
           remote: 'user@host',
           command: 'echo "ok"',
         }),
-      ).toBe('ssh user@host "echo \\"ok\\""')
+      ).toBe('ssh user@host \'echo "ok"\'')
+    })
+  })
+
+  describe('#formatSshArgs', () => {
+    it('should not quote arguments', () => {
+      expect(
+        formatSshArgs({
+          port: 2222,
+          remote: 'user@host',
+          command: 'echo "it\'s ok"',
+        }),
+      ).toEqual(['ssh', '-p', 2222, 'user@host', 'echo "it\'s ok"'])
     })
   })
 })
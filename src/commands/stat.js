@@ -0,0 +1,51 @@
+import { quoteArgs, requireArgs } from './util'
+
+// Raw mode in hexadecimal, size, uid, gid, modification time, user and group.
+const STAT_FORMAT = '%f %s %u %g %Y %U %G'
+
+// File type bits of the mode.
+const S_IFMT = 0o170000
+
+const FILE_TYPES = {
+  0o100000: 'file',
+  0o040000: 'directory',
+  0o120000: 'symlink',
+}
+
+// Symbolic links are not followed, GNU stat is required.
+export function formatStatArgs({ file }) {
+  requireArgs(['file'], { file }, 'stat')
+  return ['stat', '-c', STAT_FORMAT, file]
+}
+
+export function formatStatCommand(options) {
+  return quoteArgs(formatStatArgs(options))
+}
+
+/**
+ * Parse the output of `stat` formatted by `formatStatCommand`.
+ *
+ * @param {string|Buffer} output Output
+ * @returns {object} Stats: { type, mode, permissions, size, uid, gid, user, group, mtime }
+ */
+export function parseStatOutput(output) {
+  const line = String(output).trim()
+  const fields = line.split(' ')
+  if (fields.length !== 7 || !/^[0-9a-f]+$/i.test(fields[0]))
+    throw new Error(`Unable to parse "stat" output "${line}"`)
+  const [rawMode, size, uid, gid, mtime, user, group] = fields
+  const mode = parseInt(rawMode, 16)
+  return {
+    // eslint-disable-next-line no-bitwise
+    type: FILE_TYPES[mode & S_IFMT] || 'other',
+    mode,
+    // eslint-disable-next-line no-bitwise
+    permissions: mode & 0o7777,
+    size: Number(size),
+    uid: Number(uid),
+    gid: Number(gid),
+    user,
+    group,
+    mtime: new Date(Number(mtime) * 1000),
+  }
+}
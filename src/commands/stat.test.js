@@ -0,0 +1,53 @@
+import { formatStatCommand, parseStatOutput } from './stat'
+
+describe('stat', () => {
+  describe('#formatStatCommand', () => {
+    describe('without "file"', () => {
+      it('should throw an error', () => {
+        expect(() => formatStatCommand({})).toThrow(
+          '"file" argument is required in "stat" command',
+        )
+      })
+    })
+
+    it('should format command', () => {
+      expect(formatStatCommand({ file: '/my file' })).toBe(
+        "stat -c '%f %s %u %g %Y %U %G' '/my file'",
+      )
+    })
+  })
+
+  describe('#parseStatOutput', () => {
+    it('should parse files', () => {
+      expect(
+        parseStatOutput(
+          Buffer.from('81a4 12 1000 1001 1500000000 deploy www\n'),
+        ),
+      ).toEqual({
+        type: 'file',
+        mode: 0o100644,
+        permissions: 0o644,
+        size: 12,
+        uid: 1000,
+        gid: 1001,
+        user: 'deploy',
+        group: 'www',
+        mtime: new Date(1500000000000),
+      })
+    })
+
+    it('should parse file types', () => {
+      expect(parseStatOutput('41ed 4096 0 0 0 root root').type).toBe(
+        'directory',
+      )
+      expect(parseStatOutput('a1ff 4 0 0 0 root root').type).toBe('symlink')
+      expect(parseStatOutput('11b6 0 0 0 0 root root').type).toBe('other')
+    })
+
+    it('should throw an error if output is invalid', () => {
+      expect(() => parseStatOutput('stat: illegal option -- c\n')).toThrow(
+        'Unable to parse "stat" output "stat: illegal option -- c"',
+      )
+    })
+  })
+})
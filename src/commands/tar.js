@@ -1,26 +1,30 @@
-import { joinCommandArgs, requireArgs } from './util'
+import { quoteArgs, requireArgs } from './util'
 
 function formatExcludes(excludes) {
-  return excludes.reduce(
-    (args, current) => [...args, '--exclude', `"${current}"`],
-    [],
-  )
+  return excludes.reduce((args, current) => [...args, '--exclude', current], [])
 }
 
-export function formatTarCommand({ file, archive, excludes, mode }) {
+export function formatTarArgs({
+  file,
+  archive,
+  excludes,
+  mode,
+  stripComponents = 1,
+}) {
   let args = ['tar']
   switch (mode) {
     case 'compress': {
       requireArgs(['file', 'archive'], { file, archive }, 'tar')
       if (excludes) args = [...args, ...formatExcludes(excludes)]
       args = [...args, '-czf', archive, file]
-      return joinCommandArgs(args)
+      return args
     }
     case 'extract': {
       requireArgs(['archive'], { file, archive }, 'tar')
-      args = [...args, '--strip-components=1']
+      if (stripComponents)
+        args = [...args, `--strip-components=${stripComponents}`]
       args = [...args, '-xzf', archive]
-      return joinCommandArgs(args)
+      return args
     }
     default:
       throw new Error(
@@ -28,3 +32,7 @@ export function formatTarCommand({ file, archive, excludes, mode }) {
       )
   }
 }
+
+export function formatTarCommand(options) {
+  return quoteArgs(formatTarArgs(options))
+}
@@ -1,4 +1,4 @@
-import { formatTarCommand } from './tar'
+import { formatTarArgs, formatTarCommand } from './tar'
 
 describe('tar', () => {
   describe('#formatTarCommand', () => {
@@ -57,6 +57,16 @@ describe('tar', () => {
       ).toBe('tar --strip-components=1 -xzf file.tar.gz')
     })
 
+    it('should support "stripComponents"', () => {
+      expect(
+        formatTarCommand({
+          archive: 'file.tar.gz',
+          mode: 'extract',
+          stripComponents: 0,
+        }),
+      ).toBe('tar -xzf file.tar.gz')
+    })
+
     it('should support "excludes"', () => {
       expect(
         formatTarCommand({
@@ -65,7 +75,31 @@ describe('tar', () => {
           mode: 'compress',
           excludes: ['foo'],
         }),
-      ).toBe('tar --exclude "foo" -czf file.tar.gz file')
+      ).toBe('tar --exclude foo -czf file.tar.gz file')
+    })
+
+    it('should quote arguments', () => {
+      expect(
+        formatTarCommand({
+          file: 'my file',
+          archive: 'file.tar.gz',
+          mode: 'compress',
+          excludes: ['*.log'],
+        }),
+      ).toBe("tar --exclude '*.log' -czf file.tar.gz 'my file'")
+    })
+  })
+
+  describe('#formatTarArgs', () => {
+    it('should not quote arguments', () => {
+      expect(
+        formatTarArgs({
+          file: 'my file',
+          archive: 'file.tar.gz',
+          mode: 'compress',
+          excludes: ['*.log'],
+        }),
+      ).toEqual(['tar', '--exclude', '*.log', '-czf', 'file.tar.gz', 'my file'])
     })
   })
 })
@@ -0,0 +1,11 @@
+import { joinCommandArgs, quoteArgs, requireArgs } from './util'
+
+export function formatTeeArgs({ file }) {
+  requireArgs(['file'], { file }, 'tee')
+  return ['tee', file]
+}
+
+// Input is written to the file only, not echoed back.
+export function formatTeeCommand(options) {
+  return joinCommandArgs([quoteArgs(formatTeeArgs(options)), '>', '/dev/null'])
+}
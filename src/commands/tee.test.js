@@ -0,0 +1,19 @@
+import { formatTeeCommand } from './tee'
+
+describe('tee', () => {
+  describe('#formatTeeCommand', () => {
+    describe('without "file"', () => {
+      it('should throw an error', () => {
+        expect(() => formatTeeCommand({})).toThrow(
+          '"file" argument is required in "tee" command',
+        )
+      })
+    })
+
+    it('should format command without output', () => {
+      expect(formatTeeCommand({ file: '/my file' })).toBe(
+        "tee '/my file' > /dev/null",
+      )
+    })
+  })
+})
@@ -1,15 +1,74 @@
+// Characters that never need to be quoted in a POSIX shell.
+const SAFE_ARG_REGEXP = /^[\w@%+=:,./-]+$/
+
 export function escapeCommand(command) {
-  return command.replace(/"/g, '\\"')
+  return command.replace(/'/g, "'\\''")
 }
 
 export function wrapCommand(command) {
-  return `"${escapeCommand(command)}"`
+  return `'${escapeCommand(command)}'`
+}
+
+export function quoteArg(arg) {
+  const value = String(arg)
+  if (SAFE_ARG_REGEXP.test(value)) return value
+  // Keep home directory expansion.
+  if (value.startsWith('~/')) return `~/${quoteArg(value.slice(2))}`
+  return wrapCommand(value)
 }
 
 export function joinCommandArgs(args) {
   return args.join(' ')
 }
 
+export function quoteArgs(args) {
+  return joinCommandArgs(args.map(quoteArg))
+}
+
+// Commands given as an array of arguments are quoted for the shell.
+export function formatCommand(command) {
+  return Array.isArray(command) ? quoteArgs(command) : command
+}
+
+/**
+ * Split a string into arguments like a POSIX shell: words are separated by
+ * spaces, quotes and backslashes are removed. Expansions are kept as written.
+ *
+ * @param {string} value String
+ * @returns {string[]} Arguments
+ */
+export function splitShellWords(value) {
+  const words = []
+  let word = null
+  let quote = null
+  for (let index = 0; index < value.length; index += 1) {
+    const char = value[index]
+    if (quote === "'") {
+      if (char === "'") quote = null
+      else word += char
+    } else if (quote === '"') {
+      if (char === '"') quote = null
+      else if (char === '\\' && /["\\$`]/.test(value[index + 1])) {
+        index += 1
+        word += value[index]
+      } else word += char
+    } else if (/\s/.test(char)) {
+      if (word !== null) words.push(word)
+      word = null
+    } else {
+      if (word === null) word = ''
+      if (char === "'" || char === '"') quote = char
+      else if (char === '\\' && index + 1 < value.length) {
+        index += 1
+        word += value[index]
+      } else word += char
+    }
+  }
+  if (quote) throw new Error(`Unterminated quote in "${value}"`)
+  if (word !== null) words.push(word)
+  return words
+}
+
 export function requireArgs(requiredArgs, args, command) {
   requiredArgs.forEach(required => {
     if (args[required] === undefined) {
@@ -2,19 +2,54 @@ import {
   escapeCommand,
   joinCommandArgs,
   wrapCommand,
+  quoteArg,
+  quoteArgs,
   requireArgs,
+  splitShellWords,
 } from './util'
 
 describe('util', () => {
   describe('#escapeCommand', () => {
-    it('should escape double quotes', () => {
-      expect(escapeCommand('echo "ok"')).toBe('echo \\"ok\\"')
+    it('should escape single quotes', () => {
+      expect(escapeCommand("echo 'ok'")).toBe("echo '\\''ok'\\''")
+    })
+
+    it('should not escape anything else', () => {
+      expect(escapeCommand('echo "$HOME" `id` \\')).toBe('echo "$HOME" `id` \\')
     })
   })
 
   describe('#wrapCommand', () => {
-    it('should wrap command between double quotes', () => {
-      expect(wrapCommand('echo "ok"')).toBe('"echo \\"ok\\""')
+    it('should wrap command between single quotes', () => {
+      expect(wrapCommand(`echo "it's ok"`)).toBe(`'echo "it'\\''s ok"'`)
+    })
+  })
+
+  describe('#quoteArg', () => {
+    it('should not quote safe arguments', () => {
+      expect(quoteArg('/var/www/app-1.0_beta@host:80')).toBe(
+        '/var/www/app-1.0_beta@host:80',
+      )
+      expect(quoteArg(42)).toBe('42')
+    })
+
+    it('should quote unsafe arguments', () => {
+      expect(quoteArg('my file')).toBe("'my file'")
+      expect(quoteArg('$(reboot)')).toBe("'$(reboot)'")
+      expect(quoteArg('a;b')).toBe("'a;b'")
+      expect(quoteArg('*')).toBe("'*'")
+      expect(quoteArg('')).toBe("''")
+    })
+
+    it('should keep home expansion', () => {
+      expect(quoteArg('~/my dir')).toBe("~/'my dir'")
+      expect(quoteArg('~user')).toBe("'~user'")
+    })
+  })
+
+  describe('#quoteArgs', () => {
+    it('should quote and join args', () => {
+      expect(quoteArgs(['ls', '-la', "it's"])).toBe("ls -la 'it'\\''s'")
     })
   })
 
@@ -24,6 +59,30 @@ describe('util', () => {
     })
   })
 
+  describe('#splitShellWords', () => {
+    it('should split words and remove quotes', () => {
+      expect(splitShellWords(' --delete  --checksum ')).toEqual([
+        '--delete',
+        '--checksum',
+      ])
+      expect(splitShellWords('--rsync-path="sudo rsync"')).toEqual([
+        '--rsync-path=sudo rsync',
+      ])
+      expect(splitShellWords(`--filter='- *.log' a\\ b "\\"x\\""`)).toEqual([
+        '--filter=- *.log',
+        'a b',
+        '"x"',
+      ])
+      expect(splitShellWords('"" $HOME')).toEqual(['', '$HOME'])
+    })
+
+    it('should throw on unterminated quotes', () => {
+      expect(() => splitShellWords('--rsync-path="sudo rsync')).toThrow(
+        'Unterminated quote in "--rsync-path="sudo rsync"',
+      )
+    })
+  })
+
   describe('#requireArgs', () => {
     it('should require some args', () => {
       expect(() => requireArgs(['foo'], { a: 'b' }, 'custom')).toThrow(
@@ -0,0 +1,110 @@
+export class CommandError extends Error {
+  /**
+   * Error thrown when a command fails.
+   *
+   * @param {string} message Message
+   * @param {object} [details] Details
+   * @param {object} [details.remote] Remote on which the command was run
+   * @param {string} [details.command] Command, as given by the user
+   * @param {string} [details.sshCommand] Command really executed locally (ssh, rsync or scp)
+   * @param {number|string} [details.code] Exit code
+   * @param {string} [details.signal] Signal that terminated the process
+   * @param {string|Buffer} [details.stdout] Captured stdout
+   * @param {string|Buffer} [details.stderr] Captured stderr
+   */
+  constructor(
+    message,
+    { remote, command, sshCommand, code, signal, stdout, stderr } = {},
+  ) {
+    super(message)
+    this.name = 'CommandError'
+    this.remote = remote
+    this.host = remote ? remote.host : undefined
+    this.command = command
+    this.sshCommand = sshCommand
+    this.code = code
+    this.signal = signal
+    this.stdout = stdout
+    this.stderr = stderr
+  }
+}
+
+export class SSHConnectionError extends CommandError {
+  /**
+   * Error thrown when the SSH transport fails (exit code 255),
+   * as opposed to the remote command exiting with a non-zero code.
+   *
+   * @param {string} message Message
+   * @param {object} [details] Same details as `CommandError`
+   */
+  constructor(message, details) {
+    super(message, details)
+    this.name = 'SSHConnectionError'
+  }
+}
+
+export class TimeoutError extends CommandError {
+  /**
+   * Error thrown when a command is killed because it timed out.
+   *
+   * @param {string} message Message
+   * @param {object} [details] Same details as `CommandError`
+   */
+  constructor(message, details) {
+    super(message, details)
+    this.name = 'TimeoutError'
+  }
+}
+
+export class AbortError extends CommandError {
+  /**
+   * Error thrown when a command is killed because its signal was aborted.
+   *
+   * @param {string} message Message
+   * @param {object} [details] Same details as `CommandError`
+   */
+  constructor(message, details) {
+    super(message, details)
+    this.name = 'AbortError'
+  }
+}
+
+export class ConnectionPoolError extends Error {
+  /**
+   * Error thrown by a pool in "settle" mode when at least one connection failed.
+   *
+   * @param {object[]} results Per-connection results
+   */
+  constructor(results) {
+    const failures = results.filter(result => result.status === 'rejected')
+    const hosts = failures.map(failure => failure.remote.host)
+    super(`Failed on ${hosts.length} host(s): ${hosts.join(', ')}`)
+    this.name = 'ConnectionPoolError'
+    this.results = results
+    this.failures = failures
+    this.hosts = hosts
+  }
+}
+
+export class TransactionError extends Error {
+  /**
+   * Error thrown by a pool transaction when a step failed.
+   *
+   * @param {object} report Report: { status, hosts }
+   */
+  constructor(report) {
+    const phase = report.status === 'aborted' ? 'prepare' : 'commit'
+    const hosts = report.hosts
+      .filter(host => host[phase].status === 'rejected')
+      .map(host => host.remote.host)
+    const outcome = report.status === 'aborted' ? 'aborted' : 'rolled back'
+    super(
+      `Transaction ${outcome}, ${phase} failed on ${hosts.length} host(s): ${hosts.join(
+        ', ',
+      )}`,
+    )
+    this.name = 'TransactionError'
+    this.report = report
+    this.hosts = hosts
+  }
+}
@@ -0,0 +1,54 @@
+import { ConnectionPoolError, TransactionError } from './errors'
+
+describe('errors', () => {
+  describe('ConnectionPoolError', () => {
+    it('should list failed hosts', () => {
+      const error = new ConnectionPoolError([
+        { status: 'rejected', remote: { host: 'a' } },
+        { status: 'fulfilled', remote: { host: 'b' } },
+        { status: 'rejected', remote: { host: 'c' } },
+      ])
+      expect(error).toBeInstanceOf(Error)
+      expect(error.message).toBe('Failed on 2 host(s): a, c')
+      expect(error.hosts).toEqual(['a', 'c'])
+      expect(error.failures.length).toBe(2)
+      expect(error.results.length).toBe(3)
+    })
+  })
+
+  describe('TransactionError', () => {
+    const createHost = (host, prepare, commit) => ({
+      remote: { host },
+      prepare: { status: prepare },
+      commit: { status: commit },
+    })
+
+    it('should list hosts where prepare failed', () => {
+      const error = new TransactionError({
+        status: 'aborted',
+        hosts: [
+          createHost('a', 'fulfilled', 'skipped'),
+          createHost('b', 'rejected', 'skipped'),
+        ],
+      })
+      expect(error.message).toBe(
+        'Transaction aborted, prepare failed on 1 host(s): b',
+      )
+      expect(error.hosts).toEqual(['b'])
+    })
+
+    it('should list hosts where commit failed', () => {
+      const error = new TransactionError({
+        status: 'rolledBack',
+        hosts: [
+          createHost('a', 'fulfilled', 'rejected'),
+          createHost('b', 'fulfilled', 'fulfilled'),
+        ],
+      })
+      expect(error.message).toBe(
+        'Transaction rolled back, commit failed on 1 host(s): a',
+      )
+      expect(error.report.hosts.length).toBe(2)
+    })
+  })
+})
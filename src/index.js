@@ -1,2 +1,12 @@
 export { default as Connection } from './Connection'
 export { default as ConnectionPool } from './ConnectionPool'
+export { parseRemote, formatRemote } from './remote'
+export { sh, raw } from './sh'
+export {
+  CommandError,
+  SSHConnectionError,
+  TimeoutError,
+  AbortError,
+  ConnectionPoolError,
+  TransactionError,
+} from './errors'
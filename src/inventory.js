@@ -0,0 +1,221 @@
+import path from 'path'
+import yaml from 'js-yaml'
+import { expandHome } from './sshConfig'
+import { parseRemoteString } from './remote'
+
+const HOST_VARS = {
+  ansible_host: 'host',
+  ansible_ssh_host: 'host',
+  host: 'host',
+  ansible_user: 'user',
+  ansible_ssh_user: 'user',
+  user: 'user',
+  ansible_port: 'port',
+  ansible_ssh_port: 'port',
+  port: 'port',
+  ansible_ssh_private_key_file: 'key',
+  key: 'key',
+  proxyJump: 'proxyJump',
+}
+
+// Remote options of a level of variables, the first alias of an option wins.
+function getRemoteVars(vars) {
+  return Object.keys(vars).reduce(
+    (remoteVars, varName) =>
+      HOST_VARS[varName] && remoteVars[HOST_VARS[varName]] === undefined
+        ? { ...remoteVars, [HOST_VARS[varName]]: vars[varName] }
+        : remoteVars,
+    {},
+  )
+}
+
+class Inventory {
+  constructor() {
+    this.hosts = {}
+    this.groups = {}
+  }
+
+  addGroup(name) {
+    this.groups[name] = this.groups[name] || {
+      hosts: [],
+      children: [],
+      vars: {},
+    }
+    return this.groups[name]
+  }
+
+  addHost(group, name, vars = {}) {
+    this.hosts[name] = { ...this.hosts[name], ...vars }
+    const { hosts } = this.addGroup(group)
+    if (!hosts.includes(name)) hosts.push(name)
+  }
+
+  // Groups of a host, including parents of its groups.
+  getHostGroups(name) {
+    const groupNames = Object.keys(this.groups)
+    const direct = groupNames.filter(group =>
+      this.groups[group].hosts.includes(name),
+    )
+    const addParents = groups => {
+      const parents = groupNames.filter(
+        group =>
+          !groups.includes(group) &&
+          this.groups[group].children.some(child => groups.includes(child)),
+      )
+      return parents.length === 0 ? groups : addParents([...groups, ...parents])
+    }
+    const groups = addParents(direct)
+    // Like in Ansible, "all" is the implicit parent of every group.
+    if (this.groups.all && !groups.includes('all')) return [...groups, 'all']
+    return groups
+  }
+
+  // Variables of a host by level: its groups from parents to children, then its own.
+  getHostVarLevels(name) {
+    const groups = this.getHostGroups(name).reverse()
+    return [...groups.map(group => this.groups[group].vars), this.hosts[name]]
+  }
+
+  // Group variables are applied from parents to children, then host variables.
+  getHostVars(name) {
+    return this.getHostVarLevels(name).reduce(
+      (allVars, vars) => ({ ...allVars, ...vars }),
+      {},
+    )
+  }
+
+  toHosts() {
+    return Object.keys(this.hosts).map(name => {
+      const vars = this.getHostVars(name)
+      // Aliases are mapped in each level, host variables always win.
+      const hostVars = this.getHostVarLevels(name).reduce(
+        (allVars, levelVars) => ({ ...allVars, ...getRemoteVars(levelVars) }),
+        {},
+      )
+      // Without explicit host, the name is a remote: "user@host:port".
+      const remote = {
+        ...(hostVars.host ? {} : parseRemoteString(name)),
+        ...hostVars,
+      }
+      if (remote.port) remote.port = Number(remote.port)
+      if (remote.key) remote.key = expandHome(remote.key)
+      return { name, remote, groups: this.getHostGroups(name), vars }
+    })
+  }
+}
+
+function parseIniValue(value) {
+  return value.replace(/^(["'])(.*)\1$/, '$2')
+}
+
+function parseIniVars(tokens) {
+  return tokens.reduce((vars, token) => {
+    const index = token.indexOf('=')
+    if (index === -1) return vars
+    return {
+      ...vars,
+      [token.slice(0, index)]: parseIniValue(token.slice(index + 1)),
+    }
+  }, {})
+}
+
+function parseIni(content, inventory) {
+  let section = { group: 'ungrouped', type: 'hosts' }
+  content.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/(^|\s)[#;].*$/, '').trim()
+    if (line === '') return
+
+    const header = line.match(/^\[([^\]:]+)(?::(\w+))?\]$/)
+    if (header) {
+      section = { group: header[1], type: header[2] || 'hosts' }
+      inventory.addGroup(section.group)
+      return
+    }
+
+    const group = inventory.addGroup(section.group)
+    switch (section.type) {
+      case 'hosts': {
+        const [name, ...tokens] = line.split(/\s+/)
+        inventory.addHost(section.group, name, parseIniVars(tokens))
+        break
+      }
+      case 'vars':
+        group.vars = {
+          ...group.vars,
+          ...parseIniVars([line.replace(/\s*=\s*/, '=')]),
+        }
+        break
+      case 'children':
+        inventory.addGroup(line)
+        group.children.push(line)
+        break
+      default:
+        throw new Error(`Unknown section "${section.type}" in inventory`)
+    }
+  })
+}
+
+function parseAnsibleGroup(name, definition, inventory) {
+  const group = inventory.addGroup(name)
+  const { hosts = {}, children = {}, vars = {} } = definition || {}
+  group.vars = { ...group.vars, ...vars }
+  Object.keys(hosts).forEach(host =>
+    inventory.addHost(name, host, hosts[host] || {}),
+  )
+  Object.keys(children).forEach(child => {
+    if (!group.children.includes(child)) group.children.push(child)
+    parseAnsibleGroup(child, children[child], inventory)
+  })
+}
+
+function parseObject(data, inventory) {
+  if (!data || typeof data !== 'object')
+    throw new Error('Inventory must be an object')
+  Object.keys(data).forEach(group => {
+    // Simple format: { group: ['user@host', ...] }
+    if (Array.isArray(data[group])) {
+      inventory.addGroup(group)
+      data[group].forEach(host => inventory.addHost(group, host))
+    } else parseAnsibleGroup(group, data[group], inventory)
+  })
+}
+
+export function getInventoryFormat(file) {
+  switch (path.extname(file).toLowerCase()) {
+    case '.json':
+      return 'json'
+    case '.yml':
+    case '.yaml':
+      return 'yaml'
+    default:
+      return 'ini'
+  }
+}
+
+/**
+ * Parse an inventory, using Ansible formats (INI or YAML)
+ * or a simple object of groups: { web: ['user@web1', 'user@web2'] }.
+ *
+ * @param {string} content Content of the inventory
+ * @param {string} format Format: "ini", "yaml" or "json"
+ * @returns {object[]} Hosts: { name, remote, groups, vars }
+ */
+export function parseInventory(content, format) {
+  const inventory = new Inventory()
+  switch (format) {
+    case 'ini':
+      parseIni(content, inventory)
+      break
+    case 'yaml':
+      parseObject(yaml.safeLoad(content), inventory)
+      break
+    case 'json':
+      parseObject(JSON.parse(content), inventory)
+      break
+    default:
+      throw new Error(
+        `format "${format}" is not valid for inventory (valid values: ["ini", "yaml", "json"])`,
+      )
+  }
+  return inventory.toHosts()
+}
@@ -0,0 +1,202 @@
+import { parseInventory, getInventoryFormat } from './inventory'
+
+describe('inventory', () => {
+  describe('#getInventoryFormat', () => {
+    it('should guess format from extension', () => {
+      expect(getInventoryFormat('hosts.json')).toBe('json')
+      expect(getInventoryFormat('hosts.yml')).toBe('yaml')
+      expect(getInventoryFormat('hosts.YAML')).toBe('yaml')
+      expect(getInventoryFormat('hosts')).toBe('ini')
+      expect(getInventoryFormat('hosts.ini')).toBe('ini')
+    })
+  })
+
+  describe('#parseInventory', () => {
+    it('should throw an error if format is not valid', () => {
+      expect(() => parseInventory('', 'xml')).toThrow(
+        'format "xml" is not valid for inventory (valid values: ["ini", "yaml", "json"])',
+      )
+    })
+
+    it('should parse INI inventory', () => {
+      const hosts = parseInventory(
+        `
+standalone.example.com
+
+[web]
+web1.example.com ansible_user=deploy
+web2 ansible_host=10.0.0.2 ansible_port=2222 # comment
+
+[db]
+db1 ansible_ssh_private_key_file=/keys/db
+
+[db:vars]
+ansible_user=postgres
+
+[prod:children]
+web
+db
+
+[prod:vars]
+ansible_user = admin
+`,
+        'ini',
+      )
+
+      expect(hosts).toEqual([
+        {
+          name: 'standalone.example.com',
+          remote: { host: 'standalone.example.com' },
+          groups: ['ungrouped'],
+          vars: {},
+        },
+        {
+          name: 'web1.example.com',
+          remote: { user: 'deploy', host: 'web1.example.com' },
+          groups: ['web', 'prod'],
+          vars: { ansible_user: 'deploy' },
+        },
+        {
+          name: 'web2',
+          remote: { user: 'admin', host: '10.0.0.2', port: 2222 },
+          groups: ['web', 'prod'],
+          vars: {
+            ansible_host: '10.0.0.2',
+            ansible_port: '2222',
+            ansible_user: 'admin',
+          },
+        },
+        {
+          name: 'db1',
+          remote: { user: 'postgres', host: 'db1', key: '/keys/db' },
+          groups: ['db', 'prod'],
+          vars: {
+            ansible_user: 'postgres',
+            ansible_ssh_private_key_file: '/keys/db',
+          },
+        },
+      ])
+    })
+
+    it('should apply "all" variables of INI inventory to every host', () => {
+      const hosts = parseInventory(
+        `
+standalone
+
+[web]
+web1 ansible_user=deploy
+
+[all:vars]
+ansible_user=admin
+ansible_port=2222
+`,
+        'ini',
+      )
+
+      expect(hosts.map(({ remote, groups }) => ({ remote, groups }))).toEqual([
+        {
+          remote: { user: 'admin', host: 'standalone', port: 2222 },
+          groups: ['ungrouped', 'all'],
+        },
+        {
+          remote: { user: 'deploy', host: 'web1', port: 2222 },
+          groups: ['web', 'all'],
+        },
+      ])
+    })
+
+    it('should prefer host variables over group ones using other aliases', () => {
+      const hosts = parseInventory(
+        `
+[web]
+web1 ansible_user=new host=10.0.0.1
+
+[web:vars]
+ansible_ssh_user=old
+
+[all:vars]
+ansible_host=10.0.0.9
+`,
+        'ini',
+      )
+
+      expect(hosts.map(({ remote }) => remote)).toEqual([
+        { user: 'new', host: '10.0.0.1' },
+      ])
+    })
+
+    it('should parse Ansible YAML inventory', () => {
+      const hosts = parseInventory(
+        `
+all:
+  vars:
+    ansible_user: deploy
+  hosts:
+    lb.example.com:
+  children:
+    web:
+      hosts:
+        web1.example.com:
+          ansible_port: 2222
+    db:
+      vars:
+        ansible_user: postgres
+      hosts:
+        db1.example.com:
+`,
+        'yaml',
+      )
+
+      expect(
+        hosts.map(({ name, remote, groups }) => ({ name, remote, groups })),
+      ).toEqual([
+        {
+          name: 'lb.example.com',
+          remote: { user: 'deploy', host: 'lb.example.com' },
+          groups: ['all'],
+        },
+        {
+          name: 'web1.example.com',
+          remote: { user: 'deploy', host: 'web1.example.com', port: 2222 },
+          groups: ['web', 'all'],
+        },
+        {
+          name: 'db1.example.com',
+          remote: { user: 'postgres', host: 'db1.example.com' },
+          groups: ['db', 'all'],
+        },
+      ])
+    })
+
+    it('should parse simple JSON inventory', () => {
+      const hosts = parseInventory(
+        JSON.stringify({
+          web: ['deploy@web1:2222', 'deploy@web2'],
+          db: ['postgres@db1', 'deploy@web2'],
+        }),
+        'json',
+      )
+
+      expect(hosts).toEqual([
+        {
+          name: 'deploy@web1:2222',
+          remote: { user: 'deploy', host: 'web1', port: 2222 },
+          groups: ['web'],
+          vars: {},
+        },
+        {
+          name: 'deploy@web2',
+          remote: { user: 'deploy', host: 'web2' },
+          groups: ['web', 'db'],
+          vars: {},
+        },
+        {
+          name: 'postgres@db1',
+          remote: { user: 'postgres', host: 'db1' },
+          groups: ['db'],
+          vars: {},
+        },
+      ])
+    })
+  })
+})
@@ -0,0 +1,56 @@
+import crypto from 'crypto'
+import { matchPatterns } from './sshConfig'
+
+/**
+ * Parse an OpenSSH "known_hosts" file.
+ * Lines with a marker ("@cert-authority", "@revoked") are ignored.
+ *
+ * @param {string} content Content of the file
+ * @returns {object[]} Entries: { hosts, keyType, key }
+ */
+export function parseKnownHosts(content) {
+  return content.split(/\r?\n/).reduce((entries, rawLine) => {
+    const line = rawLine.trim()
+    if (!line || line.startsWith('#') || line.startsWith('@')) return entries
+    const [hosts, keyType, key] = line.split(/\s+/)
+    if (!key) return entries
+    return [...entries, { hosts, keyType, key }]
+  }, [])
+}
+
+// Hosts are written "[host]:port" when the port is not the default one.
+function formatKnownHost(host, port) {
+  if (!port || Number(port) === 22) return host
+  return `[${host}]:${port}`
+}
+
+// Hashed hosts are written "|1|salt|hash", hash is HMAC-SHA1 of the host.
+function matchHashedHost(hashed, name) {
+  const [, , salt, hash] = hashed.split('|')
+  return (
+    crypto
+      .createHmac('sha1', Buffer.from(salt, 'base64'))
+      .update(name)
+      .digest('base64') === hash
+  )
+}
+
+function matchKnownHost(hosts, name) {
+  if (hosts.startsWith('|1|')) return matchHashedHost(hosts, name)
+  return matchPatterns(hosts.split(','), name)
+}
+
+/**
+ * Find the keys known for a host.
+ *
+ * @param {object[]} entries Entries returned by `parseKnownHosts`
+ * @param {string} host Host
+ * @param {number} [port] Port
+ * @returns {string[]} Keys, base64 encoded
+ */
+export function findHostKeys(entries, host, port) {
+  const name = formatKnownHost(host, port)
+  return entries
+    .filter(({ hosts }) => matchKnownHost(hosts, name))
+    .map(({ key }) => key)
+}
@@ -0,0 +1,48 @@
+import crypto from 'crypto'
+import { parseKnownHosts, findHostKeys } from './knownHosts'
+
+const hashHost = (name, salt = Buffer.from('salt')) =>
+  `|1|${salt.toString('base64')}|${crypto
+    .createHmac('sha1', salt)
+    .update(name)
+    .digest('base64')}`
+
+describe('knownHosts', () => {
+  const content = `
+# Known hosts
+example.com,10.0.0.1 ssh-ed25519 AAAAkey1
+[example.com]:2222 ssh-rsa AAAAkey2
+*.internal ssh-ed25519 AAAAkey3
+${hashHost('secret.com')} ssh-ed25519 AAAAkey4
+@revoked example.com ssh-rsa AAAArevoked
+invalid-line
+`
+
+  describe('#parseKnownHosts', () => {
+    it('should parse entries', () => {
+      const entries = parseKnownHosts(content)
+      expect(entries.length).toBe(4)
+      expect(entries[0]).toEqual({
+        hosts: 'example.com,10.0.0.1',
+        keyType: 'ssh-ed25519',
+        key: 'AAAAkey1',
+      })
+    })
+  })
+
+  describe('#findHostKeys', () => {
+    const entries = parseKnownHosts(content)
+
+    it('should find keys by host and port', () => {
+      expect(findHostKeys(entries, 'example.com')).toEqual(['AAAAkey1'])
+      expect(findHostKeys(entries, '10.0.0.1', 22)).toEqual(['AAAAkey1'])
+      expect(findHostKeys(entries, 'example.com', 2222)).toEqual(['AAAAkey2'])
+      expect(findHostKeys(entries, 'other.com')).toEqual([])
+    })
+
+    it('should support patterns and hashed hosts', () => {
+      expect(findHostKeys(entries, 'db.internal')).toEqual(['AAAAkey3'])
+      expect(findHostKeys(entries, 'secret.com')).toEqual(['AAAAkey4'])
+    })
+  })
+})
@@ -1,28 +1,191 @@
+import querystring from 'querystring'
 import { deprecateV3 } from './util'
 
+const PROTOCOL_REGEXP = /^([a-z][a-z0-9+.-]*):\/\//i
+const HOSTNAME_REGEXP = /^[a-z0-9_]([a-z0-9_.-]*[a-z0-9_])?$/i
+const IPV6_REGEXP = /^[0-9a-f:.]*:[0-9a-f:.]*(%[\w.-]+)?$/i
+const PORT_REGEXP = /^\d+$/
+const REMOTE_OPTIONS = ['key', 'strict', 'asUser', 'proxyJump']
+const LOCAL_HOST = 'localhost'
+
+/**
+ * Tell if a host is an IPv6 address, they are written between brackets
+ * when followed by a port or a path.
+ *
+ * @param {string} host Host
+ * @returns {boolean} True if the host is an IPv6 address
+ */
+export function isIPv6(host) {
+  return IPV6_REGEXP.test(host)
+}
+
+function parsePort(port, remote) {
+  const portNumber = Number(port)
+  if (!PORT_REGEXP.test(port) || portNumber < 1 || portNumber > 65535)
+    throw new Error(`Invalid port "${port}" in remote "${remote}"`)
+  return portNumber
+}
+
+function parseHostAndPort(hostAndPort, remote) {
+  let host = hostAndPort
+  let port
+
+  if (hostAndPort.startsWith('[')) {
+    const end = hostAndPort.indexOf(']')
+    if (end === -1)
+      throw new Error(`Missing "]" after IPv6 address in remote "${remote}"`)
+    host = hostAndPort.slice(1, end)
+    const rest = hostAndPort.slice(end + 1)
+    if (rest !== '') {
+      if (!rest.startsWith(':'))
+        throw new Error(`Unexpected "${rest}" in remote "${remote}"`)
+      port = rest.slice(1)
+    }
+    if (!isIPv6(host))
+      throw new Error(`Invalid IPv6 address "${host}" in remote "${remote}"`)
+  } else if (hostAndPort.split(':').length <= 2) {
+    ;[host, port] = hostAndPort.split(':')
+    if (!HOSTNAME_REGEXP.test(host))
+      throw new Error(`Invalid host "${host}" in remote "${remote}"`)
+  } else if (!isIPv6(host)) {
+    // Several colons without brackets, only valid for an IPv6 address.
+    throw new Error(`Invalid host "${host}" in remote "${remote}"`)
+  }
+
+  return port === undefined ? { host } : { host, port: parsePort(port, remote) }
+}
+
+function parseOptions(query, remote) {
+  const options = querystring.parse(query)
+  Object.keys(options).forEach(name => {
+    if (!REMOTE_OPTIONS.includes(name))
+      throw new Error(`Unknown option "${name}" in remote "${remote}"`)
+  })
+  return options
+}
+
+/**
+ * Parse a remote string without applying default user.
+ * Supported forms are "[user@]host[:port]", "[user@][ipv6][:port]"
+ * and "ssh://[user@]host[:port]", all of them accepting options
+ * using a query string: "?key=/path/to/key&strict=no&asUser=www".
+ * "local://" targets the local machine using the "local" transport.
+ *
+ * @param {string} remote Remote
+ * @returns {object} Remote: { user, host, port, key, strict, asUser, transport }
+ */
+export function parseRemoteString(remote) {
+  const [address, query] = remote.split('?')
+  let rest = address
+
+  const protocol = rest.match(PROTOCOL_REGEXP)
+  if (protocol && protocol[1].toLowerCase() === 'local') {
+    if (!/^\/?$/.test(rest.slice(protocol[0].length)))
+      throw new Error(`Unexpected host in local remote "${remote}"`)
+    const options = query ? parseOptions(query, remote) : {}
+    return { host: LOCAL_HOST, transport: 'local', ...options }
+  }
+
+  if (protocol) {
+    if (protocol[1].toLowerCase() !== 'ssh')
+      throw new Error(
+        `Unsupported protocol "${protocol[1]}" in remote "${remote}"`,
+      )
+    rest = rest.slice(protocol[0].length).replace(/\/$/, '')
+  }
+
+  const userIndex = rest.lastIndexOf('@')
+  const user = userIndex === -1 ? undefined : rest.slice(0, userIndex)
+  if (user === '') throw new Error(`Empty user in remote "${remote}"`)
+
+  const parsed = parseHostAndPort(rest.slice(userIndex + 1), remote)
+  const options = query ? parseOptions(query, remote) : {}
+  return user ? { user, ...parsed, ...options } : { ...parsed, ...options }
+}
+
 export function parseRemote(remote) {
   if (remote && remote.host) return remote
   if (typeof remote !== 'string') throw new Error('A remote must be a string')
   if (remote === '') throw new Error('A remote cannot be an empty string')
 
-  const matches = remote.match(/(([^@:]+)@)?([^@:]+)(:(.+))?/)
+  const options = parseRemoteString(remote)
 
-  if (matches) {
-    const [, , user, host, , port] = matches
-    const options = { user, host }
-    if (port) options.port = Number(port)
-    if (!user) {
-      deprecateV3(
-        'Default user "deploy" is deprecated, please specify it explictly.',
-      )
-      options.user = 'deploy'
-    }
-    return options
+  // Commands run as the current user on the local machine.
+  if (!options.user && options.transport !== 'local') {
+    deprecateV3(
+      'Default user "deploy" is deprecated, please specify it explictly.',
+    )
+    return { user: 'deploy', ...options }
   }
 
-  return { user: 'deploy', host: remote }
+  return options
+}
+
+/**
+ * Parse a proxy jump definition into a list of hops.
+ * Hops are remote strings or objects: { user, host, port, key }.
+ * A string can define several hops separated by commas.
+ *
+ * @param {string|object|Array.<string|object>} proxyJump Proxy jump
+ * @returns {object[]} Hops, from the first one to the last one
+ */
+export function parseProxyJump(proxyJump) {
+  if (!proxyJump) return []
+  const hops = Array.isArray(proxyJump) ? proxyJump : [proxyJump]
+  return hops.reduce((allHops, hop) => {
+    if (hop && hop.host) return [...allHops, hop]
+    if (typeof hop !== 'string' || hop === '')
+      throw new Error('A proxy jump must be a string or an object with a host')
+    const stringHops = hop
+      .split(',')
+      .map(stringHop => parseRemoteString(stringHop.trim()))
+    return [...allHops, ...stringHops]
+  }, [])
+}
+
+/**
+ * Format a remote as a string, it can be parsed back using `parseRemote`.
+ *
+ * @param {object} remote Remote
+ * @returns {string} Remote string
+ */
+export function formatRemote({ user, host, port, transport, ...options }) {
+  let remote = isIPv6(host) ? `[${host}]` : host
+  if (transport === 'local') remote = 'local://'
+  else {
+    if (user) remote = `${user}@${remote}`
+    if (port) remote = `${remote}:${port}`
+  }
+  const query = querystring.stringify(
+    REMOTE_OPTIONS.reduce(
+      (queryOptions, name) =>
+        typeof options[name] === 'string'
+          ? { ...queryOptions, [name]: options[name] }
+          : queryOptions,
+      {},
+    ),
+  )
+  return query ? `${remote}?${query}` : remote
+}
+
+/**
+ * Format the destination of a ssh command: "user@host".
+ *
+ * @param {object} remote Remote
+ * @returns {string} Destination
+ */
+export function formatSshRemote({ user, host }) {
+  return user ? `${user}@${host}` : host
 }
 
-export function formatRemote({ user, host }) {
-  return `${user}@${host}`
+/**
+ * Format a remote path used by rsync or scp: "user@host:path".
+ *
+ * @param {object} remote Remote
+ * @param {string} remotePath Path on the remote
+ * @returns {string} Remote path
+ */
+export function formatRemotePath({ user, host }, remotePath) {
+  const hostname = isIPv6(host) ? `[${host}]` : host
+  return `${user ? `${user}@` : ''}${hostname}:${remotePath}`
 }
@@ -1,4 +1,10 @@
-import { parseRemote, formatRemote } from './remote'
+import {
+  parseRemote,
+  parseProxyJump,
+  formatRemote,
+  formatSshRemote,
+  formatRemotePath,
+} from './remote'
 
 describe('SSH remote', () => {
   describe('#parseRemote', () => {
@@ -42,6 +48,146 @@ describe('SSH remote', () => {
     })
   })
 
+  describe('#parseRemote with IPv6, URLs and options', () => {
+    it('should parse IPv6 address', () => {
+      expect(parseRemote('user@[::1]')).toEqual({ user: 'user', host: '::1' })
+      expect(parseRemote('user@[fe80::1%eth0]:2222')).toEqual({
+        user: 'user',
+        host: 'fe80::1%eth0',
+        port: 2222,
+      })
+    })
+
+    it('should parse IPv6 address without brackets', () => {
+      expect(parseRemote('user@2001:db8::1')).toEqual({
+        user: 'user',
+        host: '2001:db8::1',
+      })
+    })
+
+    it('should parse ssh URL', () => {
+      expect(parseRemote('ssh://user@host:2222')).toEqual({
+        user: 'user',
+        host: 'host',
+        port: 2222,
+      })
+      expect(parseRemote('ssh://user@[::1]:2222/')).toEqual({
+        user: 'user',
+        host: '::1',
+        port: 2222,
+      })
+    })
+
+    it('should parse options', () => {
+      expect(
+        parseRemote('ssh://user@host?key=%2Fpath%2Fto%2Fkey&strict=no'),
+      ).toEqual({
+        user: 'user',
+        host: 'host',
+        key: '/path/to/key',
+        strict: 'no',
+      })
+      expect(parseRemote('user@host:22?asUser=www')).toEqual({
+        user: 'user',
+        host: 'host',
+        port: 22,
+        asUser: 'www',
+      })
+    })
+
+    it('should return an error if port is invalid', () => {
+      expect(() => parseRemote('user@host:abc')).toThrow(
+        'Invalid port "abc" in remote "user@host:abc"',
+      )
+      expect(() => parseRemote('user@host:70000')).toThrow(
+        'Invalid port "70000" in remote "user@host:70000"',
+      )
+      expect(() => parseRemote('user@host:')).toThrow(
+        'Invalid port "" in remote "user@host:"',
+      )
+    })
+
+    it('should return an error if host is invalid', () => {
+      expect(() => parseRemote('user@ho st')).toThrow(
+        'Invalid host "ho st" in remote "user@ho st"',
+      )
+      expect(() => parseRemote('user@')).toThrow(
+        'Invalid host "" in remote "user@"',
+      )
+      expect(() => parseRemote('user@[::1')).toThrow(
+        'Missing "]" after IPv6 address in remote "user@[::1"',
+      )
+      expect(() => parseRemote('user@[host]')).toThrow(
+        'Invalid IPv6 address "host" in remote "user@[host]"',
+      )
+      expect(() => parseRemote('user@[::1]22')).toThrow(
+        'Unexpected "22" in remote "user@[::1]22"',
+      )
+    })
+
+    it('should parse local URL', () => {
+      expect(parseRemote('local://')).toEqual({
+        host: 'localhost',
+        transport: 'local',
+      })
+      expect(parseRemote('local://?asUser=www')).toEqual({
+        host: 'localhost',
+        transport: 'local',
+        asUser: 'www',
+      })
+      expect(() => parseRemote('local://host')).toThrow(
+        'Unexpected host in local remote "local://host"',
+      )
+    })
+
+    it('should return an error if protocol is not supported', () => {
+      expect(() => parseRemote('http://host')).toThrow(
+        'Unsupported protocol "http" in remote "http://host"',
+      )
+    })
+
+    it('should return an error if option is unknown', () => {
+      expect(() => parseRemote('user@host?foo=bar')).toThrow(
+        'Unknown option "foo" in remote "user@host?foo=bar"',
+      )
+    })
+  })
+
+  describe('#parseProxyJump', () => {
+    it('should return an empty list without proxy jump', () => {
+      expect(parseProxyJump()).toEqual([])
+    })
+
+    it('should parse a single hop', () => {
+      expect(parseProxyJump('user@bastion:2222')).toEqual([
+        { user: 'user', host: 'bastion', port: 2222 },
+      ])
+    })
+
+    it('should parse chained hops', () => {
+      expect(parseProxyJump('bastion1, user@bastion2')).toEqual([
+        { host: 'bastion1' },
+        { user: 'user', host: 'bastion2' },
+      ])
+    })
+
+    it('should accept objects and arrays', () => {
+      const hop = { host: 'bastion2', key: '/path/to/key' }
+      expect(parseProxyJump(['user@bastion1', hop])).toEqual([
+        { user: 'user', host: 'bastion1' },
+        hop,
+      ])
+      expect(parseProxyJump(hop)).toEqual([hop])
+    })
+
+    it('should return an error if invalid', () => {
+      expect(() => parseProxyJump([{}])).toThrow(
+        'A proxy jump must be a string or an object with a host',
+      )
+      expect(() => parseProxyJump('a,@b')).toThrow('Empty user in remote "@b"')
+    })
+  })
+
   describe('#format', () => {
     it('should format remote without port', () => {
       expect(formatRemote({ user: 'user', host: 'host' })).toBe('user@host')
@@ -49,7 +195,56 @@ describe('SSH remote', () => {
 
     it('should format remote with port', () => {
       expect(formatRemote({ user: 'user', host: 'host', port: 3000 })).toBe(
+        'user@host:3000',
+      )
+    })
+
+    it('should format IPv6 remote', () => {
+      expect(formatRemote({ user: 'user', host: '::1', port: 22 })).toBe(
+        'user@[::1]:22',
+      )
+    })
+
+    it('should format options', () => {
+      expect(
+        formatRemote({
+          user: 'user',
+          host: 'host',
+          key: '/key',
+          asUser: 'www',
+        }),
+      ).toBe('user@host?key=%2Fkey&asUser=www')
+    })
+
+    it('should round-trip', () => {
+      ;[
         'user@host',
+        'user@host:22',
+        'user@[::1]:2222',
+        'user@host:22?key=%2Fkey&strict=no',
+        'local://',
+        'local://?asUser=www',
+      ].forEach(remote => {
+        expect(formatRemote(parseRemote(remote))).toBe(remote)
+      })
+    })
+  })
+
+  describe('#formatSshRemote', () => {
+    it('should format ssh destination', () => {
+      expect(formatSshRemote({ user: 'user', host: '::1', port: 22 })).toBe(
+        'user@::1',
+      )
+    })
+  })
+
+  describe('#formatRemotePath', () => {
+    it('should format remote path', () => {
+      expect(formatRemotePath({ user: 'user', host: 'host' }, '/foo')).toBe(
+        'user@host:/foo',
+      )
+      expect(formatRemotePath({ user: 'user', host: '::1' }, '/foo')).toBe(
+        'user@[::1]:/foo',
       )
     })
   })
@@ -0,0 +1,46 @@
+import { quoteArg } from './commands/util'
+
+class RawValue {
+  constructor(value) {
+    this.value = String(value)
+  }
+}
+
+/**
+ * Mark a value to be interpolated as-is in a `sh` template.
+ *
+ * @param {string} value Value, it will not be quoted
+ * @returns {object} A raw value
+ */
+export function raw(value) {
+  return new RawValue(value)
+}
+
+function formatValue(value) {
+  if (value instanceof RawValue) return value.value
+  if (Array.isArray(value)) return value.map(formatValue).join(' ')
+  if (value === undefined || value === null) {
+    throw new Error(`Cannot interpolate "${value}" in a shell command`)
+  }
+  return quoteArg(value)
+}
+
+/**
+ * Tagged template building a shell command.
+ * Interpolated values are quoted, arrays are expanded to several arguments.
+ *
+ * @example
+ * connection.run(sh`tar -xzf ${archive} -C ${dir}`)
+ * @param {string[]} strings Literal parts
+ * @param {...*} values Interpolated values
+ * @returns {string} Command
+ */
+export function sh(strings, ...values) {
+  return strings.reduce(
+    (command, string, index) =>
+      index < values.length
+        ? `${command}${string}${formatValue(values[index])}`
+        : `${command}${string}`,
+    '',
+  )
+}
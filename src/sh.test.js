@@ -0,0 +1,41 @@
+import { sh, raw } from './sh'
+
+describe('sh', () => {
+  it('should leave literal parts untouched', () => {
+    expect(sh`ls -la | grep "foo" > /dev/null`).toBe(
+      'ls -la | grep "foo" > /dev/null',
+    )
+  })
+
+  it('should quote interpolated values', () => {
+    const archive = 'my archive.tar.gz'
+    const dir = "$(rm -rf /); it's"
+    expect(sh`tar -xzf ${archive} -C ${dir}`).toBe(
+      `tar -xzf 'my archive.tar.gz' -C '$(rm -rf /); it'\\''s'`,
+    )
+  })
+
+  it('should not quote safe values', () => {
+    expect(sh`cd ${'/var/www'} && ls ${'~/my dir'} ${42}`).toBe(
+      "cd /var/www && ls ~/'my dir' 42",
+    )
+  })
+
+  it('should expand arrays to several arguments', () => {
+    expect(sh`rm ${['a', 'b c', raw('*.log')]}`).toBe("rm a 'b c' *.log")
+  })
+
+  it('should support raw values', () => {
+    const filter = sh`grep ${'foo bar'}`
+    expect(sh`ls ${raw('*')} | ${raw(filter)}`).toBe("ls * | grep 'foo bar'")
+  })
+
+  it('should refuse null and undefined values', () => {
+    expect(() => sh`ls ${undefined}`).toThrow(
+      'Cannot interpolate "undefined" in a shell command',
+    )
+    expect(() => sh`ls ${null}`).toThrow(
+      'Cannot interpolate "null" in a shell command',
+    )
+  })
+})
@@ -0,0 +1,155 @@
+import os from 'os'
+import path from 'path'
+
+const KEYWORDS = {
+  hostname: 'hostName',
+  user: 'user',
+  port: 'port',
+  identityfile: 'identityFile',
+  proxyjump: 'proxyJump',
+}
+
+export function expandHome(file) {
+  if (file === '~') return os.homedir()
+  if (file.startsWith('~/')) return path.join(os.homedir(), file.slice(2))
+  return file
+}
+
+function unquote(value) {
+  return value.replace(/^"(.*)"$/, '$1')
+}
+
+function parseLine(line) {
+  const matches = line.match(/^\s*(\w+)(?:\s*=\s*|\s+)(.+?)\s*$/)
+  if (!matches) return null
+  return { keyword: matches[1].toLowerCase(), value: matches[2] }
+}
+
+function patternToRegExp(pattern) {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.')
+  return new RegExp(`^${source}$`, 'i')
+}
+
+/**
+ * Tell if an alias matches patterns, "*" and "?" wildcards and "!" negations
+ * are supported, matching is case insensitive.
+ *
+ * @param {string[]} patterns Patterns
+ * @param {string} alias Alias
+ * @returns {boolean} True if the alias matches
+ */
+export function matchPatterns(patterns, alias) {
+  const negated = patterns.filter(pattern => pattern.startsWith('!'))
+  if (negated.some(pattern => patternToRegExp(pattern.slice(1)).test(alias)))
+    return false
+  return patterns
+    .filter(pattern => !pattern.startsWith('!'))
+    .some(pattern => patternToRegExp(pattern).test(alias))
+}
+
+function isConcreteAlias(pattern) {
+  return !/[*?!]/.test(pattern)
+}
+
+/**
+ * Parse an OpenSSH config file into blocks.
+ * Only "Host" blocks are supported, "Match" blocks are ignored.
+ *
+ * @param {string} content Content of the config file
+ * @returns {object[]} Blocks: { patterns, options }
+ */
+export function parseSshConfig(content) {
+  const blocks = [{ patterns: ['*'], options: {} }]
+  content.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/(^|\s)#.*$/, '')
+    const parsed = parseLine(line)
+    if (!parsed) return
+    const { keyword, value } = parsed
+
+    if (keyword === 'host') {
+      blocks.push({ patterns: value.split(/\s+/).map(unquote), options: {} })
+    } else if (keyword === 'match') {
+      blocks.push({ patterns: [], options: {} })
+    } else if (KEYWORDS[keyword]) {
+      const { options } = blocks[blocks.length - 1]
+      const name = KEYWORDS[keyword]
+      // The first obtained value is used.
+      if (options[name] === undefined) options[name] = unquote(value)
+    }
+  })
+  return blocks
+}
+
+/**
+ * Resolve options of a host alias, first obtained value wins as in OpenSSH.
+ *
+ * @param {object[]} blocks Blocks returned by `parseSshConfig`
+ * @param {string} alias Host alias
+ * @returns {object} Options: { hostName, user, port, identityFile, proxyJump }
+ */
+export function resolveSshConfigHost(blocks, alias) {
+  return blocks
+    .filter(({ patterns }) => matchPatterns(patterns, alias))
+    .reduce((options, block) => ({ ...block.options, ...options }), {})
+}
+
+/**
+ * List concrete host aliases (without wildcards) defined in config.
+ *
+ * @param {object[]} blocks Blocks returned by `parseSshConfig`
+ * @param {string[]} [patterns] Only keep aliases matching one of these patterns
+ * @returns {string[]} Aliases
+ */
+export function listSshConfigHosts(blocks, patterns) {
+  const aliases = blocks.reduce(
+    (allAliases, block) => [
+      ...allAliases,
+      ...block.patterns.filter(
+        pattern => isConcreteAlias(pattern) && !allAliases.includes(pattern),
+      ),
+    ],
+    [],
+  )
+  if (!patterns) return aliases
+  return aliases.filter(alias => matchPatterns(patterns, alias))
+}
+
+function expandHostNameTokens(hostName, alias) {
+  return hostName.replace(/%[%h]/g, token => (token === '%h' ? alias : '%'))
+}
+
+function toRemote(alias, { hostName, user, port, identityFile }) {
+  const remote = {
+    host: hostName ? expandHostNameTokens(hostName, alias) : alias,
+  }
+  if (user) remote.user = user
+  if (port) remote.port = Number(port)
+  if (identityFile) remote.key = expandHome(identityFile)
+  return remote
+}
+
+/**
+ * Build the remote of a host alias, jump hosts defined using an alias
+ * of the config are resolved too.
+ *
+ * @param {object[]} blocks Blocks returned by `parseSshConfig`
+ * @param {string} alias Host alias
+ * @returns {object} Remote: { user, host, port, key, proxyJump }
+ */
+export function getSshConfigRemote(blocks, alias) {
+  const options = resolveSshConfigHost(blocks, alias)
+  const remote = toRemote(alias, options)
+  if (options.proxyJump && options.proxyJump.toLowerCase() !== 'none') {
+    remote.proxyJump = options.proxyJump.split(',').map(hop => {
+      const hopAlias = hop.trim()
+      const hopOptions = resolveSshConfigHost(blocks, hopAlias)
+      if (!hopAlias.match(/[@:]/) && Object.keys(hopOptions).length > 0)
+        return toRemote(hopAlias, hopOptions)
+      return hopAlias
+    })
+  }
+  return remote
+}
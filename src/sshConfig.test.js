@@ -0,0 +1,136 @@
+import os from 'os'
+import path from 'path'
+import {
+  expandHome,
+  parseSshConfig,
+  resolveSshConfigHost,
+  listSshConfigHosts,
+  getSshConfigRemote,
+} from './sshConfig'
+
+const config = `
+# Global options
+User global
+
+Host bastion
+  HostName bastion.example.com
+  Port 2222
+  IdentityFile ~/.ssh/bastion
+
+Host web1 web2
+  HostName=%h.example.com
+  User deploy
+  ProxyJump bastion
+
+Host db1
+  HostName "db1.internal"
+  Port 2200 # custom port
+  ProxyJump admin@jump:22
+
+Host web*
+  User other
+  IdentityFile /keys/web
+
+Host * !db1
+  Port 22
+
+Match host foo
+  User ignored
+`
+
+describe('sshConfig', () => {
+  let blocks
+
+  beforeEach(() => {
+    blocks = parseSshConfig(config)
+  })
+
+  describe('#expandHome', () => {
+    it('should expand "~"', () => {
+      expect(expandHome('~/.ssh/config')).toBe(
+        path.join(os.homedir(), '.ssh/config'),
+      )
+      expect(expandHome('/etc/ssh/config')).toBe('/etc/ssh/config')
+    })
+  })
+
+  describe('#parseSshConfig', () => {
+    it('should parse blocks', () => {
+      expect(blocks[0]).toEqual({
+        patterns: ['*'],
+        options: { user: 'global' },
+      })
+      expect(blocks[2]).toEqual({
+        patterns: ['web1', 'web2'],
+        options: {
+          hostName: '%h.example.com',
+          user: 'deploy',
+          proxyJump: 'bastion',
+        },
+      })
+      expect(blocks[3].options.hostName).toBe('db1.internal')
+      expect(blocks[3].options.port).toBe('2200')
+    })
+  })
+
+  describe('#resolveSshConfigHost', () => {
+    it('should use first obtained values', () => {
+      expect(resolveSshConfigHost(blocks, 'web1')).toEqual({
+        hostName: '%h.example.com',
+        user: 'global',
+        port: '22',
+        identityFile: '/keys/web',
+        proxyJump: 'bastion',
+      })
+    })
+
+    it('should support negated patterns', () => {
+      expect(resolveSshConfigHost(blocks, 'db1').port).toBe('2200')
+      expect(resolveSshConfigHost(blocks, 'unknown')).toEqual({
+        user: 'global',
+        port: '22',
+      })
+    })
+  })
+
+  describe('#listSshConfigHosts', () => {
+    it('should list concrete hosts', () => {
+      expect(listSshConfigHosts(blocks)).toEqual([
+        'bastion',
+        'web1',
+        'web2',
+        'db1',
+      ])
+    })
+
+    it('should filter hosts', () => {
+      expect(listSshConfigHosts(blocks, ['web*'])).toEqual(['web1', 'web2'])
+    })
+  })
+
+  describe('#getSshConfigRemote', () => {
+    it('should build remote', () => {
+      expect(getSshConfigRemote(blocks, 'db1')).toEqual({
+        user: 'global',
+        host: 'db1.internal',
+        port: 2200,
+        proxyJump: ['admin@jump:22'],
+      })
+    })
+
+    it('should expand "%h" in HostName', () => {
+      expect(getSshConfigRemote(blocks, 'web1').host).toBe('web1.example.com')
+    })
+
+    it('should resolve jump hosts aliases', () => {
+      expect(getSshConfigRemote(blocks, 'web2').proxyJump).toEqual([
+        {
+          user: 'global',
+          host: 'bastion.example.com',
+          port: 2222,
+          key: path.join(os.homedir(), '.ssh/bastion'),
+        },
+      ])
+    })
+  })
+})
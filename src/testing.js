@@ -0,0 +1,258 @@
+import { EventEmitter } from 'events'
+import { PassThrough } from 'stream'
+
+const onceEvent = (emitter, event) =>
+  new Promise(resolve => emitter.once(event, resolve))
+
+function matchCommand(pattern, command, connection) {
+  if (pattern instanceof RegExp) return pattern.test(command)
+  if (typeof pattern === 'function') return pattern(command, connection)
+  return pattern === command
+}
+
+/**
+ * Create an object mimicking a child process, it exits with the response.
+ *
+ * @param {object} response Response: { stdout, stderr, code, signal, hang }
+ * @returns {EventEmitter} A child: { stdin, stdout, stderr, kill }
+ */
+function createFakeChild({
+  stdout = '',
+  stderr = '',
+  code = 0,
+  signal = null,
+  hang = false,
+}) {
+  const child = new EventEmitter()
+  child.stdin = new PassThrough()
+  child.stdout = new PassThrough()
+  child.stderr = new PassThrough()
+
+  let exited = false
+  const exit = (exitCode, exitSignal) => {
+    if (exited) return
+    exited = true
+    child.stdout.end()
+    child.stderr.end()
+    child.emit('exit', exitCode, exitSignal)
+    child.emit('close', exitCode, exitSignal)
+  }
+
+  child.kill = (killSignal = 'SIGTERM') =>
+    setImmediate(() => exit(null, killSignal))
+
+  setImmediate(() => {
+    child.stdout.write(stdout)
+    child.stderr.write(stderr)
+    if (!hang) exit(code, signal)
+  })
+
+  return child
+}
+
+/**
+ * Execute a fake child, it follows the signature of `child_process.exec`.
+ *
+ * @param {object} response Response: { stdout, stderr, code, signal, hang }
+ * @param {function} callback Called with (error, stdout, stderr)
+ * @returns {EventEmitter} A child: { stdin, stdout, stderr, kill }
+ */
+function execFakeChild(response, callback) {
+  const child = createFakeChild(response)
+  const stdout = []
+  const stderr = []
+  child.stdout.on('data', data => stdout.push(data))
+  child.stderr.on('data', data => stderr.push(data))
+  const outputEnded = Promise.all([
+    onceEvent(child.stdout, 'end'),
+    onceEvent(child.stderr, 'end'),
+  ])
+
+  child.on('close', (code, signal) =>
+    outputEnded.then(() => {
+      let error = null
+      if (code !== 0) {
+        error = new Error('Command failed')
+        error.code = code
+        error.signal = signal
+      }
+      callback(error, Buffer.concat(stdout), Buffer.concat(stderr))
+    }),
+  )
+
+  return child
+}
+
+/**
+ * Transport replying to commands using a `CommandRecorder`, nothing is run.
+ * It implements the same interface as transports of `src/transports`.
+ */
+export class FakeTransport {
+  /**
+   * @param {Connection} connection Connection using the transport
+   * @param {CommandRecorder} recorder Recorder
+   */
+  constructor(connection, recorder) {
+    this.connection = connection
+    this.recorder = recorder
+  }
+
+  async open() {
+    this.recorder.record(this.connection, { type: 'open' })
+    return null
+  }
+
+  async close() {
+    this.recorder.record(this.connection, { type: 'close' })
+    return null
+  }
+
+  async exec(command, { tty, ...options } = {}) {
+    const { connection, recorder } = this
+    const remoteCommand = connection.formatRemoteCommand(command)
+    return connection.execute(remoteCommand, options, {
+      command,
+      ssh: true,
+      exec: (cmd, execOptions, callback) => {
+        recorder.record(connection, { type: 'exec', command: cmd })
+        return execFakeChild(recorder.getResponse(connection, cmd), callback)
+      },
+    })
+  }
+
+  stream(command) {
+    const { connection, recorder } = this
+    const remoteCommand = connection.formatRemoteCommand(command)
+    recorder.record(connection, { type: 'stream', command: remoteCommand })
+    return {
+      child: createFakeChild(recorder.getResponse(connection, remoteCommand)),
+      sshCommand: remoteCommand,
+    }
+  }
+
+  async copyToRemote(src, dest, { ignores } = {}) {
+    return this.copy({ type: 'copyToRemote', src, dest, ignores })
+  }
+
+  async copyFromRemote(src, dest, { ignores } = {}) {
+    return this.copy({ type: 'copyFromRemote', src, dest, ignores })
+  }
+
+  async canCopy() {
+    return true
+  }
+
+  async copy(operation) {
+    this.recorder.record(this.connection, operation)
+    return { child: null, stdout: Buffer.from([]), stderr: Buffer.from([]) }
+  }
+}
+
+/**
+ * Record operations of connections using its transport and reply to
+ * commands with canned responses, to test code using ssh-pool without SSH.
+ */
+export class CommandRecorder {
+  /**
+   * Initialize a new `CommandRecorder`.
+   *
+   * @param {object} [options] Options
+   * @param {boolean} [options.strict] Fail commands without response with code 127
+   */
+  constructor({ strict = false } = {}) {
+    this.strict = strict
+    this.responses = []
+    this.operations = []
+    this.transport = connection => new FakeTransport(connection, this)
+  }
+
+  /**
+   * Register the response of a command, first matching response is used.
+   *
+   * @param {string|RegExp|function} command Remote command, a pattern or a predicate called with (command, connection)
+   * @param {object} [response] Response
+   * @param {string} [response.host] Only reply to this host
+   * @param {string|Buffer} [response.stdout] Stdout
+   * @param {string|Buffer} [response.stderr] Stderr
+   * @param {number} [response.code] Exit code (default 0), 255 simulates a SSH connection error
+   * @param {string} [response.signal] Signal killing the command
+   * @param {boolean} [response.hang] Never exit, until killed by a timeout or a signal
+   * @param {boolean} [response.once] Only reply once
+   * @returns {CommandRecorder} The recorder
+   */
+  reply(command, response = {}) {
+    this.responses.push({ ...response, command, calls: 0 })
+    return this
+  }
+
+  /**
+   * Find the response of a command.
+   *
+   * @param {Connection} connection Connection
+   * @param {string} command Remote command
+   * @returns {object} Response
+   */
+  getResponse(connection, command) {
+    const response = this.responses.find(
+      ({ host, once, calls, command: pattern }) =>
+        (!host || host === connection.remote.host) &&
+        (!once || calls === 0) &&
+        matchCommand(pattern, command, connection),
+    )
+    if (response) {
+      response.calls += 1
+      return response
+    }
+    if (this.strict)
+      return { stderr: `Unexpected command "${command}"\n`, code: 127 }
+    return {}
+  }
+
+  record(connection, operation) {
+    this.operations.push({ host: connection.remote.host, ...operation })
+  }
+
+  /**
+   * Get recorded operations, in order.
+   * Operations are objects: { host, type, command, src, dest, ignores }.
+   *
+   * @param {string} [host] Only get operations of this host
+   * @returns {object[]} Operations
+   */
+  getOperations(host) {
+    if (!host) return this.operations
+    return this.operations.filter(operation => operation.host === host)
+  }
+
+  /**
+   * Get commands run or streamed, in order.
+   *
+   * @param {string} [host] Only get commands of this host
+   * @returns {string[]} Commands
+   */
+  getCommands(host) {
+    return this.getOperations(host)
+      .filter(({ type }) => type === 'exec' || type === 'stream')
+      .map(({ command }) => command)
+  }
+
+  /**
+   * Get responses never used, useful to check that expected commands were run.
+   *
+   * @returns {object[]} Responses
+   */
+  getPendingResponses() {
+    return this.responses.filter(({ calls }) => calls === 0)
+  }
+
+  /**
+   * Forget responses and recorded operations.
+   *
+   * @returns {CommandRecorder} The recorder
+   */
+  reset() {
+    this.responses = []
+    this.operations = []
+    return this
+  }
+}
@@ -0,0 +1,166 @@
+import Connection from './Connection'
+import ConnectionPool from './ConnectionPool'
+import { CommandError, SSHConnectionError, TimeoutError } from './errors'
+import { CommandRecorder, FakeTransport } from './testing'
+
+describe('testing', () => {
+  let recorder
+  let pool
+
+  beforeEach(() => {
+    recorder = new CommandRecorder()
+    pool = new ConnectionPool(['deploy@web1', 'deploy@web2'], {
+      transport: recorder.transport,
+    })
+  })
+
+  describe('CommandRecorder', () => {
+    it('should create fake transports', () => {
+      const [connection] = pool.connections
+      expect(connection.transport).toBeInstanceOf(FakeTransport)
+      expect(connection.transport.connection).toBe(connection)
+    })
+
+    it('should reply to commands per host', async () => {
+      recorder
+        .reply('hostname', { host: 'web1', stdout: 'web1\n' })
+        .reply(/^host/, { stdout: 'other\n', stderr: 'warning\n' })
+      const results = await pool.run('hostname')
+      expect(results[0].stdout.toString()).toBe('web1\n')
+      expect(results[0].stderr.toString()).toBe('')
+      expect(results[1].stdout.toString()).toBe('other\n')
+      expect(results[1].stderr.toString()).toBe('warning\n')
+    })
+
+    it('should succeed without output by default', async () => {
+      const [result] = await pool.run('ls')
+      expect(result.stdout.toString()).toBe('')
+    })
+
+    it('should reject with a CommandError', async () => {
+      expect.assertions(3)
+      recorder.reply('false', { code: 1, stderr: 'failed' })
+      try {
+        await pool.connections[0].run('false')
+      } catch (error) {
+        expect(error).toBeInstanceOf(CommandError)
+        expect(error.code).toBe(1)
+        expect(error.stderr.toString()).toBe('failed')
+      }
+    })
+
+    it('should simulate connection errors', async () => {
+      recorder.reply('ls', { code: 255, once: true })
+      const connection = new Connection({
+        remote: 'deploy@web1',
+        transport: recorder.transport,
+        retry: { attempts: 2, delay: 0 },
+      })
+      await connection.run('ls')
+      expect(recorder.getCommands()).toEqual(['ls', 'ls'])
+
+      recorder.reply('ls', { code: 255, once: true })
+      recorder.reply('ls', { code: 255, once: true })
+      await expect(connection.run('ls')).rejects.toBeInstanceOf(
+        SSHConnectionError,
+      )
+    })
+
+    it('should reject unexpected commands in strict mode', async () => {
+      expect.assertions(2)
+      recorder = new CommandRecorder({ strict: true })
+      const connection = new Connection({
+        remote: 'deploy@web1',
+        transport: recorder.transport,
+      })
+      try {
+        await connection.run('rm -rf /')
+      } catch (error) {
+        expect(error.code).toBe(127)
+        expect(error.stderr.toString()).toBe('Unexpected command "rm -rf /"\n')
+      }
+    })
+
+    it('should simulate commands that never end', async () => {
+      recorder.reply('tail -f log', { hang: true })
+      await expect(
+        pool.connections[0].run('tail -f log', { timeout: 10 }),
+      ).rejects.toBeInstanceOf(TimeoutError)
+    })
+
+    it('should record operations in order', async () => {
+      await pool.open()
+      await pool.run(['echo', 'hello world'])
+      await pool.copyToRemote('/src/dir', '/dest/dir', { ignores: ['.git'] })
+      await pool.connections[1].copyFromRemote('/remote/log', '/local/log')
+      await pool.close()
+
+      expect(recorder.getOperations('web2')).toEqual([
+        { host: 'web2', type: 'open' },
+        { host: 'web2', type: 'exec', command: "echo 'hello world'" },
+        {
+          host: 'web2',
+          type: 'copyToRemote',
+          src: '/src/dir',
+          dest: '/dest/dir',
+          ignores: ['.git'],
+        },
+        {
+          host: 'web2',
+          type: 'copyFromRemote',
+          src: '/remote/log',
+          dest: '/local/log',
+          ignores: undefined,
+        },
+        { host: 'web2', type: 'close' },
+      ])
+      expect(recorder.getOperations().length).toBe(9)
+      expect(recorder.getCommands('web1')).toEqual(["echo 'hello world'"])
+    })
+
+    it('should record scp copies as copies', async () => {
+      const [connection] = pool.connections
+      await connection.scpCopyToRemote('/src/dir', '/dest/dir')
+      expect(recorder.getOperations('web1')).toEqual([
+        {
+          host: 'web1',
+          type: 'copyToRemote',
+          src: '/src/dir',
+          dest: '/dest/dir',
+          ignores: undefined,
+        },
+      ])
+    })
+
+    it('should record commands run as user', async () => {
+      const connection = new Connection({
+        remote: 'deploy@web1',
+        transport: recorder.transport,
+        asUser: 'www',
+      })
+      await connection.run('ls')
+      expect(recorder.getCommands()).toEqual(['sudo -u www ls'])
+    })
+
+    it('should stream commands', async () => {
+      recorder.reply('tail log', { stdout: 'a\nb\n', code: 2 })
+      const stream = pool.connections[0].stream('tail log')
+      const lines = []
+      stream.stdout.on('data', data => lines.push(data.toString()))
+      expect(await stream.exitCode).toBe(2)
+      expect(lines.join('')).toBe('a\nb\n')
+      expect(recorder.getCommands()).toEqual(['tail log'])
+    })
+
+    it('should list pending responses and reset', async () => {
+      recorder.reply('ls').reply('pwd')
+      await pool.connections[0].run('ls')
+      expect(
+        recorder.getPendingResponses().map(({ command }) => command),
+      ).toEqual(['pwd'])
+      recorder.reset()
+      expect(recorder.getPendingResponses()).toEqual([])
+      expect(recorder.getOperations()).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,162 @@
+import path from 'path'
+import { exec, spawn } from 'child_process'
+import { formatTarArgs, formatTarCommand } from '../commands/tar'
+import { formatCdCommand } from '../commands/cd'
+import { formatMkdirCommand } from '../commands/mkdir'
+import { joinCommandArgs, formatCommand } from '../commands/util'
+import { getTarSource, spawnLocalTar } from './tar'
+
+/**
+ * Transport running commands on the local machine, without SSH.
+ * Commands are run through the local shell, "asUser" is still applied using sudo.
+ */
+class LocalTransport {
+  /**
+   * @param {Connection} connection Connection using the transport
+   */
+  constructor(connection) {
+    this.connection = connection
+  }
+
+  /**
+   * Nothing to open locally.
+   *
+   * @returns {Promise} A promise resolved with null
+   */
+  async open() {
+    return null
+  }
+
+  /**
+   * Nothing to close locally.
+   *
+   * @returns {Promise} A promise resolved with null
+   */
+  async close() {
+    return null
+  }
+
+  /**
+   * Run a command locally.
+   *
+   * @param {string} command Command to run
+   * @param {object} [options] Exec options
+   * @param {boolean} [options.tty] Ignored, the command is not run through SSH.
+   * @returns {Promise.<object>} A promise with an object as result: { child, stdout, stderr }
+   */
+  async exec(command, { tty, ...options } = {}) {
+    const { connection } = this
+    return connection.execute(
+      connection.formatRemoteCommand(command),
+      options,
+      { command },
+    )
+  }
+
+  /**
+   * Spawn a command locally.
+   *
+   * @param {string} command Command to run
+   * @param {object} [options] Spawn options
+   * @param {boolean} [options.tty] Ignored, the command is not run through SSH.
+   * @returns {object} An object: { child, sshCommand }
+   */
+  stream(command, { tty, ...options } = {}) {
+    const localCommand = this.connection.formatRemoteCommand(command)
+    return {
+      child: spawn(localCommand, { ...options, shell: true }),
+      sshCommand: localCommand,
+    }
+  }
+
+  /**
+   * Copy a local directory to another local directory.
+   *
+   * @param {string} src Source
+   * @param {string} dest Destination
+   * @param {object} [options] Options
+   * @param {string[]} [options.ignores] Specify a list of files to ignore.
+   * @returns {Promise.<object>} A promise with an object as result: { child, stdout, stderr }
+   */
+  async copyToRemote(src, dest, options) {
+    return this.copy(src, dest, options)
+  }
+
+  /**
+   * Copy a local directory to another local directory.
+   *
+   * @param {string} src Source
+   * @param {string} dest Destination
+   * @param {object} [options] Options
+   * @param {string[]} [options.ignores] Specify a list of files to ignore.
+   * @returns {Promise.<object>} A promise with an object as result: { child, stdout, stderr }
+   */
+  async copyFromRemote(src, dest, options) {
+    return this.copy(src, dest, options)
+  }
+
+  /**
+   * Tell if `copyToRemote` and `copyFromRemote` can be used.
+   *
+   * @returns {Promise.<boolean>} Always true, copies only need tar
+   */
+  async canCopy() {
+    return true
+  }
+
+  // Like rsync, "src" is copied in "dest", or only its content with a trailing slash.
+  async copy(src, dest, { ignores, rsync, ...options } = {}) {
+    const { connection } = this
+    connection.log('Copy "%s" to "%s" locally', src, dest)
+    const { cwd, file } = getTarSource(src)
+    const tarArgs = formatTarArgs({
+      mode: 'compress',
+      file,
+      archive: '-',
+      excludes: ignores,
+    })
+    const destDir = path.resolve(dest)
+    const extract = joinCommandArgs([
+      formatMkdirCommand({ folder: destDir }),
+      '&&',
+      formatCdCommand({ folder: destDir }),
+      '&&',
+      formatTarCommand({ mode: 'extract', archive: '-', stripComponents: 0 }),
+    ])
+    const cmd = joinCommandArgs([
+      `(${joinCommandArgs([
+        formatCdCommand({ folder: path.resolve(cwd) }),
+        '&&',
+        formatCommand(tarArgs),
+      ])})`,
+      '|',
+      `(${extract})`,
+    ])
+    // Both sides are run separately to check their exit codes.
+    return connection.execute(cmd, options, {
+      exec: (pipeline, execOptions, callback) => {
+        const archive = spawnLocalTar(tarArgs, { cwd: path.resolve(cwd) })
+        const child = exec(
+          extract,
+          { ...execOptions, encoding: 'buffer' },
+          (error, stdout, stderr) =>
+            archive.exited.then(tar => {
+              // A broken pipe only means that the extraction failed.
+              const tarError =
+                tar.error && tar.error.signal !== 'SIGPIPE' ? tar.error : null
+              callback(
+                tarError || error || tar.error,
+                stdout,
+                Buffer.concat([stderr, ...tar.stderr]),
+              )
+            }),
+        )
+        archive.stdout.pipe(child.stdin)
+        archive.on('error', error => child.emit('error', error))
+        return child
+      },
+    })
+  }
+}
+
+export default LocalTransport
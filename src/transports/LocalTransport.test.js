@@ -0,0 +1,146 @@
+import { EventEmitter } from 'events'
+import { PassThrough } from 'stream'
+import { exec, execFile, spawn } from 'child_process'
+import Connection from '../Connection'
+import { CommandError } from '../errors'
+import LocalTransport from './LocalTransport'
+
+jest.mock('child_process')
+
+describe('LocalTransport', () => {
+  let connection
+
+  beforeEach(() => {
+    exec.mockClear()
+    execFile.mockClear()
+    spawn.mockClear()
+    connection = new Connection({ remote: 'local://' })
+  })
+
+  it('should be created from "local://" remote', () => {
+    expect(connection.transport).toBeInstanceOf(LocalTransport)
+    connection = new Connection({ remote: 'user@host', transport: 'local' })
+    expect(connection.transport).toBeInstanceOf(LocalTransport)
+  })
+
+  it('should run commands using the local shell', async () => {
+    const result = await connection.run('my-command -x', { tty: true })
+    await connection.run(['ls', '/my dir'], { cwd: '/tmp' })
+    expect(result.stdout.toString()).toBe('stdout')
+    expect(exec).toHaveBeenCalledWith(
+      'my-command -x',
+      { maxBuffer: 1000 * 1024 },
+      expect.any(Function),
+    )
+    expect(exec).toHaveBeenCalledWith(
+      "ls '/my dir'",
+      { maxBuffer: 1000 * 1024, cwd: '/tmp' },
+      expect.any(Function),
+    )
+  })
+
+  it('should run commands as user using sudo', async () => {
+    connection = new Connection({ remote: 'local://?asUser=www' })
+    await connection.run('my-command -x')
+    expect(exec).toHaveBeenCalledWith(
+      'sudo -u www my-command -x',
+      { maxBuffer: 1000 * 1024 },
+      expect.any(Function),
+    )
+  })
+
+  it('should stream commands using the local shell', () => {
+    connection.stream('tail -f log')
+    expect(spawn).toHaveBeenCalledWith('tail -f log', { shell: true })
+  })
+
+  it('should not open or close anything', async () => {
+    expect(await connection.open()).toBe(null)
+    expect(await connection.close()).toBe(null)
+    expect(exec).not.toHaveBeenCalled()
+  })
+
+  const mockLocalTar = ({ code = 0, signal = null, stderr = '' } = {}) =>
+    spawn.mockImplementationOnce(() => {
+      const child = new EventEmitter()
+      child.stdout = new PassThrough()
+      child.stderr = new PassThrough()
+      setImmediate(() => {
+        child.stdout.end()
+        child.stderr.end(stderr)
+        child.emit('close', code, signal)
+      })
+      return child
+    })
+
+  it('should copy files locally', async () => {
+    mockLocalTar()
+    mockLocalTar()
+    await connection.copyToRemote('/a/b/c', '/x/y/z', {
+      ignores: ['*.log'],
+      rsync: ['--delete'],
+    })
+    await connection.copyFromRemote('/x/y/z/', '/a/b/c')
+    expect(spawn.mock.calls).toEqual([
+      ['tar', ['--exclude', '*.log', '-czf', '-', 'c'], { cwd: '/a/b' }],
+      ['tar', ['-czf', '-', '.'], { cwd: '/x/y/z' }],
+    ])
+    expect(exec.mock.calls.map(([command]) => command)).toEqual([
+      'mkdir -p /x/y/z && cd /x/y/z && tar -xzf -',
+      'mkdir -p /a/b/c && cd /a/b/c && tar -xzf -',
+    ])
+  })
+
+  it('should reject when the archive fails', async () => {
+    expect.assertions(3)
+    mockLocalTar({ code: 2, stderr: 'tar: c: Cannot stat' })
+    try {
+      await connection.copyToRemote('/a/b/c', '/x/y/z')
+    } catch (error) {
+      expect(error).toBeInstanceOf(CommandError)
+      expect(error.code).toBe(2)
+      expect(error.stderr.toString()).toBe('stderrtar: c: Cannot stat')
+    }
+  })
+
+  it('should reject when the extraction fails', async () => {
+    expect.assertions(2)
+    mockLocalTar({ code: null, signal: 'SIGPIPE' })
+    exec.mockImplementationOnce((command, options, cb) => {
+      const child = new EventEmitter()
+      child.stdin = new PassThrough()
+      const error = new Error(`Command failed: ${command}`)
+      error.code = 2
+      error.signal = null
+      process.nextTick(() => cb(error, Buffer.from(''), Buffer.from('')))
+      return child
+    })
+    try {
+      await connection.copyToRemote('/a/b/c', '/x/y/z')
+    } catch (error) {
+      expect(error).toBeInstanceOf(CommandError)
+      expect(error.code).toBe(2)
+    }
+  })
+
+  it('should record the whole copy with "dryRun"', async () => {
+    connection = new Connection({ remote: 'local://', dryRun: true })
+    const result = await connection.copyToRemote('/a/b/c', '/x/y/z')
+    expect(result.commands).toEqual([
+      '(cd /a/b && tar -czf - c) | (mkdir -p /x/y/z && cd /x/y/z && tar -xzf -)',
+    ])
+    expect(spawn).not.toHaveBeenCalled()
+  })
+
+  it('should not use scp', async () => {
+    mockLocalTar()
+    mockLocalTar()
+    await connection.scpCopyToRemote('/a/b/c', '/x/y/z')
+    await connection.scpCopyFromRemote('/x/y/z', '/a/b/c')
+    expect(exec.mock.calls.map(([command]) => command)).toEqual([
+      'mkdir -p /x/y/z && cd /x/y/z && tar -xzf -',
+      'mkdir -p /a/b/c && cd /a/b/c && tar -xzf -',
+    ])
+    expect(execFile).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,168 @@
+import {
+  formatRsyncArgs,
+  formatRsyncCommand,
+  checkRsyncAvailability,
+} from '../commands/rsync'
+import { formatSshArgs, formatSshCommand } from '../commands/ssh'
+import { formatCommand, splitShellWords } from '../commands/util'
+import { formatSshRemote, formatRemotePath } from '../remote'
+import { spawnCommand } from '../util'
+
+/**
+ * Transport running the OpenSSH binaries: ssh, rsync and scp.
+ */
+class OpenSSHTransport {
+  /**
+   * @param {Connection} connection Connection using the transport
+   */
+  constructor(connection) {
+    this.connection = connection
+  }
+
+  /**
+   * Open the master connection when using "multiplex" option.
+   *
+   * @param {object} [options] Exec options
+   * @returns {Promise.<object>} A promise with an object as result: { child, stdout, stderr }
+   */
+  async open(options) {
+    const { connection } = this
+    if (!connection.options.multiplex) return null
+    connection.log(
+      'Opening master connection to host "%s".',
+      connection.remote.host,
+    )
+    const cmd = this.buildSSHCommand('true', { tty: false })
+    return connection.execute(cmd, options, { ssh: true })
+  }
+
+  /**
+   * Close the master connection when using "multiplex" option.
+   *
+   * @param {object} [options] Exec options
+   * @returns {Promise.<object>} A promise with an object as result: { child, stdout, stderr }
+   */
+  async close(options) {
+    const { connection } = this
+    if (!connection.options.multiplex) return null
+    connection.log(
+      'Closing master connection to host "%s".',
+      connection.remote.host,
+    )
+    const cmd = this.buildSSHCommand(null, {
+      tty: false,
+      controlCommand: 'exit',
+    })
+    return connection.execute(cmd, options)
+  }
+
+  /**
+   * Run a command on the remote.
+   *
+   * @param {string} command Command to run
+   * @param {object} [options] Exec options
+   * @param {boolean} [options.tty] Force a TTY allocation.
+   * @returns {Promise.<object>} A promise with an object as result: { child, stdout, stderr }
+   */
+  async exec(command, { tty, ...options } = {}) {
+    const { connection } = this
+    const cmd = this.buildSSHCommand(connection.formatRemoteCommand(command), {
+      tty,
+    })
+    return connection.execute(cmd, options, { command, ssh: true })
+  }
+
+  /**
+   * Spawn a command on the remote.
+   *
+   * @param {string} command Command to run
+   * @param {object} [options] Spawn options
+   * @param {boolean} [options.tty] Force a TTY allocation.
+   * @returns {object} An object: { child, sshCommand }
+   */
+  stream(command, { tty, ...options } = {}) {
+    const { connection } = this
+    const cmd = this.buildSSHCommand(connection.formatRemoteCommand(command), {
+      tty,
+    })
+    const child = spawnCommand(cmd, connection.withStaticSecrets(options))
+    return { child, sshCommand: formatCommand(cmd) }
+  }
+
+  /**
+   * Copy from the local to the remote using rsync.
+   *
+   * @param {string} src Source
+   * @param {string} dest Destination
+   * @param {object} [options] Options
+   * @returns {Promise.<object>} A promise with an object as result: { child, stdout, stderr }
+   */
+  async copyToRemote(src, dest, options) {
+    const remoteDest = formatRemotePath(this.connection.remote, dest)
+    return this.rsyncCopy(src, remoteDest, options)
+  }
+
+  /**
+   * Copy from the remote to the local using rsync.
+   *
+   * @param {string} src Source
+   * @param {string} dest Destination
+   * @param {object} [options] Options
+   * @returns {Promise.<object>} A promise with an object as result: { child, stdout, stderr }
+   */
+  async copyFromRemote(src, dest, options) {
+    const remoteSrc = formatRemotePath(this.connection.remote, src)
+    return this.rsyncCopy(remoteSrc, dest, options)
+  }
+
+  /**
+   * Tell if `copyToRemote` and `copyFromRemote` can be used.
+   *
+   * @returns {Promise.<boolean>} True if rsync is installed
+   */
+  async canCopy() {
+    return checkRsyncAvailability()
+  }
+
+  buildSSHCommand(command, options) {
+    const { connection } = this
+    return connection.formatLocalCommand(
+      formatSshArgs({
+        ...connection.getSSHOptions(),
+        remote: formatSshRemote(connection.remote),
+        command,
+        ...options,
+      }),
+    )
+  }
+
+  async rsyncCopy(src, dest, { rsync, ignores, ...cmdOptions } = {}) {
+    const { connection } = this
+    connection.log('Copy "%s" to "%s" via rsync', src, dest)
+
+    const rsyncOptions = {
+      src,
+      dest,
+      remoteShell: formatSshCommand(connection.getSSHOptions()),
+      excludes: ignores,
+    }
+
+    const rsyncArgs = typeof rsync === 'string' ? [rsync] : rsync
+    const cmd = connection.options.localShell
+      ? formatRsyncCommand({ ...rsyncOptions, additionalArgs: rsyncArgs })
+      : formatRsyncArgs({
+          ...rsyncOptions,
+          // Split and unquote arguments like the local shell would.
+          additionalArgs:
+            rsyncArgs &&
+            rsyncArgs.reduce(
+              (args, arg) => [...args, ...splitShellWords(arg)],
+              [],
+            ),
+        })
+
+    return connection.execute(cmd, cmdOptions, { ssh: true })
+  }
+}
+
+export default OpenSSHTransport
@@ -0,0 +1,435 @@
+import { EventEmitter } from 'events'
+import { PassThrough } from 'stream'
+import { formatTarArgs, formatTarCommand } from '../commands/tar'
+import { formatCdCommand } from '../commands/cd'
+import { formatMkdirArgs, formatMkdirCommand } from '../commands/mkdir'
+import { joinCommandArgs } from '../commands/util'
+import { expandHome } from '../sshConfig'
+import { parseKnownHosts, findHostKeys } from '../knownHosts'
+import { readFile } from '../util'
+import { getTarSource, spawnLocalTar } from './tar'
+
+// Exit code reported by OpenSSH when the connection fails, errors are typed from it.
+const SSH_ERROR_CODE = 255
+
+function loadClient() {
+  try {
+    // eslint-disable-next-line global-require, import/no-unresolved, import/no-extraneous-dependencies
+    return require('ssh2').Client
+  } catch (error) {
+    throw new Error(
+      '"ssh2" transport requires "ssh2" package, install it using "npm install ssh2".',
+    )
+  }
+}
+
+const KNOWN_HOSTS = '~/.ssh/known_hosts'
+
+// Like OpenSSH, unknown hosts are refused unless "strict" is "accept-new".
+function checkHostKey(knownKeys, key, { host, strict }) {
+  if (knownKeys.length === 0) {
+    if (strict === 'accept-new') return null
+    return new Error(
+      `Host key of "${host}" is unknown, add it to known_hosts or set "strict" option to "no".`,
+    )
+  }
+  if (knownKeys.includes(key.toString('base64'))) return null
+  return new Error(
+    `Host key of "${host}" does not match known_hosts, it may have changed.`,
+  )
+}
+
+function createConnectionError(error) {
+  const connectionError = new Error(error.message)
+  connectionError.code = SSH_ERROR_CODE
+  connectionError.signal = null
+  return connectionError
+}
+
+const onceEvent = (emitter, event) =>
+  new Promise(resolve => emitter.once(event, resolve))
+
+function formatSignal(signal) {
+  if (!signal) return null
+  return signal.startsWith('SIG') ? signal : `SIG${signal}`
+}
+
+/**
+ * Transport using a single session of the "ssh2" library per connection.
+ * The "ssh2" package must be installed.
+ */
+class SSH2Transport {
+  /**
+   * @param {Connection} connection Connection using the transport
+   */
+  constructor(connection) {
+    this.connection = connection
+    this.client = null
+  }
+
+  /**
+   * Connect and authenticate, the session is shared by all commands.
+   *
+   * @returns {Promise.<object>} A promise with the ssh2 client as result
+   */
+  async connect() {
+    if (!this.client) {
+      this.client = this.createClient().catch(error => {
+        this.client = null
+        throw error
+      })
+    }
+    return this.client
+  }
+
+  async createClient() {
+    const { connection } = this
+    const { remote, options } = connection
+    if (connection.proxyJump.length > 0)
+      throw new Error('Jump hosts are not supported by "ssh2" transport.')
+
+    const Client = loadClient()
+    const { password, passphrase } = await connection.resolveSecrets()
+    const privateKey = options.key
+      ? await readFile(expandHome(options.key))
+      : undefined
+    const knownKeys = await this.loadHostKeys()
+
+    return new Promise((resolve, reject) => {
+      let hostKeyError = null
+      const hostVerifier = key => {
+        if (!knownKeys) return true
+        hostKeyError = checkHostKey(knownKeys, key, {
+          host: remote.host,
+          strict: options.strict,
+        })
+        return !hostKeyError
+      }
+      const client = new Client()
+      client.on('ready', () => resolve(client))
+      client.on('error', error => reject(hostKeyError || error))
+      // Connect again on next command.
+      client.on('close', () => {
+        this.client = null
+      })
+      client.connect({
+        host: remote.host,
+        port: remote.port || 22,
+        username: remote.user,
+        agent: process.env.SSH_AUTH_SOCK,
+        privateKey,
+        passphrase,
+        password,
+        hostVerifier,
+      })
+    })
+  }
+
+  /**
+   * Load keys of the remote from known_hosts.
+   *
+   * @returns {Promise.<string[]>} A promise with base64 keys, or null when "strict" is "no"
+   */
+  async loadHostKeys() {
+    const { remote, options } = this.connection
+    if (options.strict === 'no' || options.strict === 'off') return null
+    const file = expandHome(options.knownHosts || KNOWN_HOSTS)
+    const content = await readFile(file).catch(error => {
+      if (error.code === 'ENOENT') return ''
+      throw error
+    })
+    return findHostKeys(parseKnownHosts(content), remote.host, remote.port)
+  }
+
+  /**
+   * Open the session.
+   *
+   * @returns {Promise} A promise resolved with null once connected
+   */
+  async open() {
+    const { connection } = this
+    connection.log('Opening session to host "%s".', connection.remote.host)
+    await this.connect()
+    return null
+  }
+
+  /**
+   * Close the session.
+   *
+   * @returns {Promise} A promise resolved with null
+   */
+  async close() {
+    const { connection } = this
+    if (!this.client) return null
+    connection.log('Closing session to host "%s".', connection.remote.host)
+    const client = await this.client
+    this.client = null
+    client.end()
+    return null
+  }
+
+  /**
+   * Run a command on the remote.
+   *
+   * @param {string} command Command to run
+   * @param {object} [options] Exec options
+   * @param {boolean} [options.tty] Allocate a pseudo TTY.
+   * @returns {Promise.<object>} A promise with an object as result: { child, stdout, stderr }
+   */
+  async exec(command, { tty, ...options } = {}) {
+    const { connection } = this
+    return connection.execute(
+      connection.formatRemoteCommand(command),
+      options,
+      {
+        command,
+        ssh: true,
+        // Output written to "stdoutTo" is not buffered.
+        exec: (cmd, execOptions, callback) =>
+          this.execChannel(cmd, { tty, output: !options.stdoutTo }, callback),
+      },
+    )
+  }
+
+  /**
+   * Spawn a command on the remote.
+   *
+   * @param {string} command Command to run
+   * @param {object} [options] Options
+   * @param {boolean} [options.tty] Allocate a pseudo TTY.
+   * @returns {object} An object: { child, sshCommand }
+   */
+  stream(command, { tty } = {}) {
+    const remoteCommand = this.connection.formatRemoteCommand(command)
+    return {
+      child: this.spawnChannel(remoteCommand, { tty }),
+      sshCommand: remoteCommand,
+    }
+  }
+
+  /**
+   * Copy from the local to the remote, using tar on both sides.
+   * Like rsync, "src" is copied in "dest", or only its content with a trailing slash.
+   *
+   * @param {string} src Source
+   * @param {string} dest Destination
+   * @param {object} [options] Options
+   * @param {string[]} [options.ignores] Specify a list of files to ignore.
+   * @returns {Promise.<object>} A promise with an object as result: { child, stdout, stderr }
+   */
+  async copyToRemote(src, dest, { ignores, ...options } = {}) {
+    const { connection } = this
+    connection.log('Copy "%s" to "%s" via ssh2', src, dest)
+    const { cwd, file } = getTarSource(src)
+    const tarArgs = formatTarArgs({
+      mode: 'compress',
+      file,
+      archive: '-',
+      excludes: ignores,
+    })
+    const extract = joinCommandArgs([
+      formatMkdirCommand({ folder: dest }),
+      '&&',
+      formatCdCommand({ folder: dest }),
+      '&&',
+      formatTarCommand({ mode: 'extract', archive: '-', stripComponents: 0 }),
+    ])
+    return connection.execute(extract, options, {
+      ssh: true,
+      exec: (cmd, execOptions, callback) => {
+        const archive = spawnLocalTar(tarArgs, { cwd })
+        const child = this.execChannel(cmd, {}, (error, stdout, stderr) =>
+          archive.exited.then(tar => {
+            // Connection errors are kept, they can be retried.
+            const sshError = error && error.code === SSH_ERROR_CODE
+            callback(
+              sshError ? error : tar.error || error,
+              stdout,
+              Buffer.concat([stderr, ...tar.stderr]),
+            )
+          }),
+        )
+        archive.stdout.pipe(child.stdin)
+        archive.on('error', error => child.emit('error', error))
+        return child
+      },
+    })
+  }
+
+  /**
+   * Copy from the remote to the local, using tar on both sides.
+   * Like rsync, "src" is copied in "dest", or only its content with a trailing slash.
+   *
+   * @param {string} src Source
+   * @param {string} dest Destination
+   * @param {object} [options] Options
+   * @param {string[]} [options.ignores] Specify a list of files to ignore.
+   * @returns {Promise.<object>} A promise with an object as result: { child, stdout, stderr }
+   */
+  async copyFromRemote(src, dest, { ignores, ...options } = {}) {
+    const { connection } = this
+    connection.log('Copy "%s" to "%s" via ssh2', src, dest)
+    const { cwd, file } = getTarSource(src)
+    const compress = joinCommandArgs([
+      formatCdCommand({ folder: cwd }),
+      '&&',
+      formatTarCommand({
+        mode: 'compress',
+        file,
+        archive: '-',
+        excludes: ignores,
+      }),
+    ])
+    const tarArgs = formatTarArgs({
+      mode: 'extract',
+      archive: '-',
+      stripComponents: 0,
+    })
+    await connection.runLocally(formatMkdirArgs({ folder: dest }))
+    return connection.execute(compress, options, {
+      ssh: true,
+      exec: (cmd, execOptions, callback) => {
+        const extract = spawnLocalTar(tarArgs, { cwd: dest })
+        // Wait for the archive to be extracted.
+        const child = this.execChannel(
+          cmd,
+          { output: false },
+          (error, stdout, stderr) =>
+            extract.exited.then(tar =>
+              callback(
+                error || tar.error,
+                stdout,
+                Buffer.concat([stderr, ...tar.stderr]),
+              ),
+            ),
+        )
+        child.stdout.pipe(extract.stdin)
+        extract.on('error', error => child.emit('error', error))
+        return child
+      },
+    })
+  }
+
+  /**
+   * Tell if `copyToRemote` and `copyFromRemote` can be used.
+   *
+   * @returns {Promise.<boolean>} Always true, copies only need tar
+   */
+  async canCopy() {
+    return true
+  }
+
+  /**
+   * Spawn a command in a new channel of the session.
+   * The returned object mimics a child process.
+   *
+   * @param {string} command Command
+   * @param {object} [options] Options
+   * @param {boolean} [options.tty] Allocate a pseudo TTY.
+   * @returns {EventEmitter} A child: { stdin, stdout, stderr, kill }
+   */
+  spawnChannel(command, { tty } = {}) {
+    const child = new EventEmitter()
+    child.stdin = new PassThrough()
+    child.stdout = new PassThrough()
+    child.stderr = new PassThrough()
+
+    let channel = null
+    let killed = false
+    child.kill = (signal = 'SIGTERM') => {
+      killed = true
+      if (!channel) return
+      channel.signal(signal.replace(/^SIG/, ''))
+      channel.close()
+    }
+
+    this.connect()
+      .then(
+        client =>
+          new Promise((resolve, reject) => {
+            client.exec(command, { pty: tty }, (err, stream) => {
+              if (err) reject(err)
+              else resolve(stream)
+            })
+          }),
+      )
+      .then(
+        stream => {
+          channel = stream
+          let exit = { code: null, signal: null }
+          stream.on('exit', (code, signal) => {
+            exit = { code, signal: formatSignal(signal) }
+          })
+          // Like child processes, "close" is emitted once output is written.
+          const outputFinished = Promise.all([
+            onceEvent(child.stdout, 'finish'),
+            onceEvent(child.stderr, 'finish'),
+          ])
+          stream.on('close', () =>
+            outputFinished.then(() =>
+              child.emit('close', exit.code, exit.signal),
+            ),
+          )
+          stream.pipe(child.stdout)
+          stream.stderr.pipe(child.stderr)
+          child.stdin.pipe(stream)
+          if (killed) stream.close()
+        },
+        error => child.emit('error', createConnectionError(error)),
+      )
+
+    return child
+  }
+
+  /**
+   * Execute a command in a new channel of the session.
+   * It follows the signature of `child_process.exec`.
+   *
+   * @param {string} command Command
+   * @param {object} [options] Options
+   * @param {boolean} [options.tty] Allocate a pseudo TTY.
+   * @param {boolean} [options.output] Buffer the output (default true)
+   * @param {function} callback Called with (error, stdout, stderr)
+   * @returns {EventEmitter} A child: { stdin, stdout, stderr, kill }
+   */
+  execChannel(command, { tty, output = true } = {}, callback) {
+    const child = this.spawnChannel(command, { tty })
+    const stdout = []
+    const stderr = []
+    if (output) child.stdout.on('data', data => stdout.push(data))
+    child.stderr.on('data', data => stderr.push(data))
+    const outputEnded = Promise.all([
+      onceEvent(child.stdout, 'end'),
+      onceEvent(child.stderr, 'end'),
+    ])
+
+    let done = false
+    const finish = error => {
+      if (done) return
+      done = true
+      callback(error, Buffer.concat(stdout), Buffer.concat(stderr))
+    }
+
+    // Like OpenSSH, the reason of connection errors is written on stderr.
+    child.on('error', error => {
+      stderr.push(Buffer.from(`${error.message}\n`))
+      finish(error)
+    })
+    child.on('close', (code, signal) =>
+      outputEnded.then(() => {
+        if (code === 0) {
+          finish(null)
+          return
+        }
+        const error = new Error(`Command failed: ${command}`)
+        error.code = code
+        error.signal = signal
+        finish(error)
+      }),
+    )
+
+    return child
+  }
+}
+
+export default SSH2Transport
@@ -0,0 +1,344 @@
+/* eslint-disable import/no-extraneous-dependencies, import/no-unresolved, import/extensions */
+import { spawn } from 'child_process'
+import events from 'events'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { PassThrough } from 'stream'
+import { Client } from 'ssh2'
+import Connection from '../Connection'
+import { CommandError, SSHConnectionError } from '../errors'
+import SSH2Transport from './SSH2Transport'
+
+jest.mock('child_process')
+jest.mock(
+  'ssh2',
+  () => {
+    /* eslint-disable global-require */
+    const { EventEmitter } = require('events')
+    const { Duplex, Readable } = require('stream')
+    /* eslint-enable global-require */
+
+    const createChannel = ({ code = 0, signal }) => {
+      const channel = new Duplex({
+        read() {},
+        write(chunk, encoding, callback) {
+          channel.input.push(chunk)
+          callback()
+        },
+      })
+      channel.input = []
+      channel.stderr = new Readable({ read() {} })
+      channel.signal = jest.fn()
+      channel.close = jest.fn()
+      channel.start = () => {
+        channel.push('stdout')
+        channel.push(null)
+        channel.stderr.push('stderr')
+        channel.stderr.push(null)
+        channel.emit('exit', code, signal)
+        setImmediate(() => channel.emit('close'))
+      }
+      return channel
+    }
+
+    class MockClient extends EventEmitter {
+      constructor() {
+        super()
+        MockClient.instances.push(this)
+        this.exec = jest.fn((command, options, callback) => {
+          const channel = createChannel(MockClient.nextExit.shift() || {})
+          this.channels.push(channel)
+          setImmediate(() => {
+            callback(null, channel)
+            setImmediate(channel.start)
+          })
+        })
+        this.end = jest.fn(() => this.emit('close'))
+        this.channels = []
+      }
+
+      connect(config) {
+        this.config = config
+        const error = MockClient.nextConnectError
+        MockClient.nextConnectError = null
+        setImmediate(() => {
+          if (error) this.emit('error', error)
+          else if (!config.hostVerifier(MockClient.hostKey))
+            this.emit('error', new Error('Host denied (verification failed)'))
+          else this.emit('ready')
+        })
+      }
+    }
+
+    MockClient.instances = []
+    MockClient.nextExit = []
+    MockClient.nextConnectError = null
+    MockClient.hostKey = null
+    return { Client: MockClient }
+  },
+  { virtual: true },
+)
+
+describe('SSH2Transport', () => {
+  const knownHosts = path.join(
+    os.tmpdir(),
+    `ssh-pool-known-hosts-${process.pid}`,
+  )
+  let connection
+
+  beforeAll(() => {
+    const key = Buffer.from('host-key').toString('base64')
+    fs.writeFileSync(
+      knownHosts,
+      `host ssh-ed25519 ${key}\n[host]:2222 ssh-ed25519 ${key}\n`,
+    )
+  })
+
+  afterAll(() => {
+    fs.unlinkSync(knownHosts)
+  })
+
+  beforeEach(() => {
+    Client.instances = []
+    Client.nextExit = []
+    Client.hostKey = Buffer.from('host-key')
+    spawn.mockClear()
+    connection = new Connection({
+      remote: 'user@host:2222',
+      transport: 'ssh2',
+      knownHosts,
+      password: 'secret',
+    })
+  })
+
+  it('should be created from "transport" option', () => {
+    expect(connection.transport).toBeInstanceOf(SSH2Transport)
+  })
+
+  it('should run commands over a single session', async () => {
+    const result = await connection.run('my-command -x')
+    await connection.run(['ls', '/my dir'])
+    expect(result.stdout.toString()).toBe('stdout')
+    expect(result.stderr.toString()).toBe('stderr')
+    expect(Client.instances.length).toBe(1)
+    const [client] = Client.instances
+    expect(client.config).toEqual({
+      host: 'host',
+      port: 2222,
+      username: 'user',
+      agent: process.env.SSH_AUTH_SOCK,
+      privateKey: undefined,
+      passphrase: undefined,
+      password: 'secret',
+      hostVerifier: expect.any(Function),
+    })
+    expect(client.exec.mock.calls.map(([command]) => command)).toEqual([
+      'my-command -x',
+      "ls '/my dir'",
+    ])
+  })
+
+  it('should run commands as user', async () => {
+    connection = new Connection({
+      remote: 'user@host',
+      transport: 'ssh2',
+      knownHosts,
+      asUser: 'test',
+    })
+    await connection.run('my-command -x', { tty: true })
+    expect(Client.instances[0].exec).toHaveBeenCalledWith(
+      'sudo -u test my-command -x',
+      { pty: true },
+      expect.any(Function),
+    )
+  })
+
+  it('should write raw stdout to "stdoutTo" without buffering it', async () => {
+    const stdoutTo = new PassThrough()
+    const result = await connection.run('pg_dump app', { stdoutTo })
+    expect(result.stdout.toString()).toBe('')
+    expect(stdoutTo.read().toString()).toBe('stdout')
+  })
+
+  it('should reject with a CommandError', async () => {
+    expect.assertions(4)
+    Client.nextExit = [{ code: 2 }]
+    try {
+      await connection.run('my-command -x')
+    } catch (error) {
+      expect(error).toBeInstanceOf(CommandError)
+      expect(error).not.toBeInstanceOf(SSHConnectionError)
+      expect(error.code).toBe(2)
+      expect(error.stderr.toString()).toBe('stderr')
+    }
+  })
+
+  it('should reject with a SSHConnectionError and retry', async () => {
+    connection = new Connection({
+      remote: 'user@host',
+      transport: 'ssh2',
+      knownHosts,
+      retry: { delay: 0, attempts: 2 },
+    })
+    Client.nextConnectError = new Error('connect ECONNREFUSED')
+    const result = await connection.run('my-command -x')
+    expect(result.stdout.toString()).toBe('stdout')
+    expect(Client.instances.length).toBe(2)
+  })
+
+  it('should refuse unknown hosts and changed host keys', async () => {
+    expect.assertions(2)
+    connection = new Connection({
+      remote: 'user@other',
+      transport: 'ssh2',
+      knownHosts,
+    })
+    try {
+      await connection.run('my-command -x')
+    } catch (error) {
+      expect(error.stderr.toString()).toBe(
+        'Host key of "other" is unknown, add it to known_hosts or set "strict" option to "no".\n',
+      )
+    }
+    Client.hostKey = Buffer.from('changed-key')
+    try {
+      await new Connection({
+        remote: 'user@host',
+        transport: 'ssh2',
+        knownHosts,
+      }).run('my-command -x')
+    } catch (error) {
+      expect(error.stderr.toString()).toBe(
+        'Host key of "host" does not match known_hosts, it may have changed.\n',
+      )
+    }
+  })
+
+  it('should accept unknown hosts depending on "strict" option', async () => {
+    Client.hostKey = Buffer.from('changed-key')
+    await new Connection({
+      remote: 'user@host?strict=no',
+      transport: 'ssh2',
+      knownHosts,
+    }).run('my-command -x')
+    await new Connection({
+      remote: 'user@other',
+      transport: 'ssh2',
+      knownHosts,
+      strict: 'accept-new',
+    }).run('my-command -x')
+    expect(Client.instances.length).toBe(2)
+  })
+
+  it('should not support jump hosts', async () => {
+    expect.assertions(1)
+    connection = new Connection({
+      remote: 'user@host',
+      transport: 'ssh2',
+      knownHosts,
+      proxyJump: 'bastion',
+    })
+    try {
+      await connection.open()
+    } catch (error) {
+      expect(error.message).toBe(
+        'Jump hosts are not supported by "ssh2" transport.',
+      )
+    }
+  })
+
+  it('should open and close the session', async () => {
+    expect(await connection.close()).toBe(null)
+    await connection.open()
+    await connection.run('my-command -x')
+    await connection.close()
+    expect(Client.instances.length).toBe(1)
+    expect(Client.instances[0].end).toHaveBeenCalled()
+    await connection.run('my-command -x')
+    expect(Client.instances.length).toBe(2)
+  })
+
+  it('should stream commands', async () => {
+    const stream = connection.stream('tail -f log')
+    expect(await stream.exitCode).toBe(0)
+    expect(stream.stdout.read().toString()).toBe('stdout')
+    expect(Client.instances[0].exec.mock.calls[0][0]).toBe('tail -f log')
+  })
+
+  const mockLocalTar = ({ code = 0, stderr = '' } = {}) =>
+    spawn.mockImplementationOnce(() => {
+      const child = new events.EventEmitter()
+      child.stdin = new PassThrough()
+      child.stdout = new PassThrough()
+      child.stderr = new PassThrough()
+      setImmediate(() => {
+        child.stdout.end()
+        child.stderr.end(stderr)
+        child.emit('close', code, null)
+      })
+      return child
+    })
+
+  it('should copy to remote using tar', async () => {
+    mockLocalTar()
+    const copy = connection.copyToRemote('/a/b/c', '/x/y/z', {
+      ignores: ['*.log'],
+    })
+    await new Promise(resolve => setImmediate(resolve))
+    expect(spawn).toHaveBeenCalledWith(
+      'tar',
+      ['--exclude', '*.log', '-czf', '-', 'c'],
+      { cwd: '/a/b' },
+    )
+    await copy
+    expect(Client.instances[0].exec.mock.calls[0][0]).toBe(
+      'mkdir -p /x/y/z && cd /x/y/z && tar -xzf -',
+    )
+  })
+
+  it('should reject when local archive fails', async () => {
+    expect.assertions(3)
+    mockLocalTar({ code: 2, stderr: 'tar: c: Cannot stat' })
+    try {
+      await connection.copyToRemote('/a/b/c', '/x/y/z')
+    } catch (error) {
+      expect(error).toBeInstanceOf(CommandError)
+      expect(error.code).toBe(2)
+      expect(error.stderr.toString()).toBe('stderrtar: c: Cannot stat')
+    }
+  })
+
+  it('should copy from remote using tar', async () => {
+    mockLocalTar()
+    await connection.copyFromRemote('/a/b/c', '/x/y/z')
+    expect(spawn).toHaveBeenCalledWith('tar', ['-xzf', '-'], { cwd: '/x/y/z' })
+    expect(Client.instances[0].exec.mock.calls[0][0]).toBe(
+      'cd /a/b && tar -czf - c',
+    )
+  })
+
+  it('should only copy the content of "src" with a trailing slash', async () => {
+    mockLocalTar()
+    await connection.copyToRemote('/a/b/c/', '/x/y/z')
+    expect(spawn).toHaveBeenCalledWith('tar', ['-czf', '-', '.'], {
+      cwd: '/a/b/c/',
+    })
+    mockLocalTar()
+    await connection.copyFromRemote('/a/b/c/', '/x/y/z')
+    expect(Client.instances[0].exec.mock.calls[1][0]).toBe(
+      'cd /a/b/c/ && tar -czf - .',
+    )
+  })
+
+  it('should reject when local extraction fails', async () => {
+    expect.assertions(2)
+    mockLocalTar({ code: 2, stderr: 'tar: No space left on device' })
+    try {
+      await connection.copyFromRemote('/a/b/c', '/x/y/z')
+    } catch (error) {
+      expect(error).toBeInstanceOf(CommandError)
+      expect(error.stderr.toString()).toBe('stderrtar: No space left on device')
+    }
+  })
+})
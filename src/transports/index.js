@@ -0,0 +1,25 @@
+import LocalTransport from './LocalTransport'
+import OpenSSHTransport from './OpenSSHTransport'
+import SSH2Transport from './SSH2Transport'
+
+const TRANSPORTS = {
+  local: LocalTransport,
+  openssh: OpenSSHTransport,
+  ssh2: SSH2Transport,
+}
+
+/**
+ * Create the transport of a connection.
+ *
+ * @param {string|function} [transport] Name of a transport or a factory called with the connection
+ * @param {Connection} connection Connection
+ * @returns {object} Transport
+ */
+export function createTransport(transport = 'openssh', connection) {
+  if (typeof transport === 'function') return transport(connection)
+  const Transport = TRANSPORTS[transport]
+  if (!Transport) throw new Error(`Unknown transport "${transport}"`)
+  return new Transport(connection)
+}
+
+export { LocalTransport, OpenSSHTransport, SSH2Transport }
@@ -0,0 +1,29 @@
+import Connection from '../Connection'
+import { createTransport, OpenSSHTransport } from './index'
+
+describe('transports', () => {
+  describe('#createTransport', () => {
+    it('should create an OpenSSH transport by default', () => {
+      const connection = new Connection({ remote: 'user@host' })
+      expect(connection.transport).toBeInstanceOf(OpenSSHTransport)
+      expect(connection.transport.connection).toBe(connection)
+    })
+
+    it('should support factories', () => {
+      const transport = {}
+      const factory = jest.fn(() => transport)
+      const connection = new Connection({
+        remote: 'user@host',
+        transport: factory,
+      })
+      expect(connection.transport).toBe(transport)
+      expect(factory).toHaveBeenCalledWith(connection)
+    })
+
+    it('should throw an error for unknown transports', () => {
+      expect(() => createTransport('foo', {})).toThrow(
+        'Unknown transport "foo"',
+      )
+    })
+  })
+})
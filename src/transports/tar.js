@@ -0,0 +1,45 @@
+import path from 'path'
+import { spawn } from 'child_process'
+import { formatCommand } from '../commands/util'
+
+/**
+ * Get the directory and the file to archive to copy "src" like rsync does:
+ * with a trailing slash the content of "src" is copied in the destination,
+ * otherwise "src" itself (a directory or a file) is copied in it.
+ *
+ * @param {string} src Source
+ * @returns {object} An object: { cwd, file }
+ */
+export function getTarSource(src) {
+  if (src.endsWith('/')) return { cwd: src, file: '.' }
+  return { cwd: path.posix.dirname(src), file: path.posix.basename(src) }
+}
+
+/**
+ * Spawn tar locally, beside the command receiving or sending the archive.
+ * `child.exited` is resolved with its error and stderr.
+ *
+ * @param {string[]} args Tar arguments, including "tar"
+ * @param {object} [options] Spawn options
+ * @returns {ChildProcess} The child process
+ */
+export function spawnLocalTar(args, options) {
+  const [tar, ...tarArgs] = args
+  const child = spawn(tar, tarArgs, options)
+  const stderr = []
+  child.stderr.on('data', data => stderr.push(data))
+  child.exited = new Promise(resolve => {
+    // Spawn errors are reported by the other side.
+    child.once('error', () => resolve({ error: null, stderr: [] }))
+    child.once('close', (code, signal) => {
+      let error = null
+      if (code !== 0) {
+        error = new Error(`Command failed: ${formatCommand(args)}`)
+        error.code = code
+        error.signal = signal
+      }
+      resolve({ error, stderr })
+    })
+  })
+  return child
+}
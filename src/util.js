@@ -1,4 +1,7 @@
 /* eslint-disable no-console */
+import { spawn } from 'child_process'
+import fs from 'fs'
+
 export const series = tasks =>
   new Promise((resolve, reject) => {
     const tasksCopy = [...tasks]
@@ -13,6 +16,122 @@ export const series = tasks =>
     next([])
   })
 
+export const parallel = (tasks, concurrency = Infinity) =>
+  new Promise((resolve, reject) => {
+    const results = []
+    let started = 0
+    let running = 0
+    let failed = false
+
+    const next = () => {
+      if (failed) return
+      if (started === tasks.length && running === 0) {
+        resolve(results)
+        return
+      }
+      while (running < concurrency && started < tasks.length) {
+        start(started) // eslint-disable-line no-use-before-define
+      }
+    }
+
+    const start = index => {
+      const task = tasks[index]
+      started += 1
+      running += 1
+      task()
+        .then(result => {
+          results[index] = result
+          running -= 1
+          next()
+        })
+        .catch(error => {
+          failed = true
+          reject(error)
+        })
+    }
+
+    next()
+  })
+
+export const chunk = (items, size) =>
+  items.reduce((chunks, item, index) => {
+    if (index % size === 0) return [...chunks, [item]]
+    chunks[chunks.length - 1].push(item)
+    return chunks
+  }, [])
+
+export const batches = async (tasks, size, concurrency) => {
+  const results = await series(
+    chunk(tasks, size).map(batch => () => parallel(batch, concurrency)),
+  )
+  return results.reduce((all, batchResults) => [...all, ...batchResults], [])
+}
+
+export const readFile = file =>
+  new Promise((resolve, reject) =>
+    fs.readFile(file, 'utf8', (err, content) => {
+      if (err) reject(err)
+      else resolve(content)
+    }),
+  )
+
+// Commands given as an array of arguments are spawned without shell.
+export function spawnCommand(cmd, options) {
+  if (!Array.isArray(cmd)) return spawn(cmd, { ...options, shell: true })
+  const [file, ...args] = cmd.map(String)
+  return spawn(file, args, options)
+}
+
+export const isReadable = value =>
+  Boolean(value) && typeof value.pipe === 'function'
+
+export const readStream = stream =>
+  new Promise((resolve, reject) => {
+    const chunks = []
+    stream.on('data', data => chunks.push(Buffer.from(data)))
+    stream.on('error', reject)
+    stream.on('end', () => resolve(Buffer.concat(chunks)))
+  })
+
+export const delay = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Run a task, retrying it with an exponential backoff.
+ *
+ * @param {function} task Task called with attempt number, must return a promise
+ * @param {object} options Options
+ * @param {number} [options.attempts] Maximum number of attempts
+ * @param {number} [options.delay] Delay before first retry in milliseconds
+ * @param {number} [options.factor] Multiplier applied to delay after each retry
+ * @param {number} [options.maxDelay] Maximum delay in milliseconds
+ * @param {number} [options.jitter] Randomization factor of delay, between 0 and 1
+ * @param {function} [options.retryable] Predicate telling if an error is retryable
+ * @param {function} [options.onRetry] Called with error, next attempt and delay before retrying
+ * @returns {Promise} A promise with task result
+ */
+export const retry = (
+  task,
+  {
+    attempts = 3,
+    delay: initialDelay = 1000,
+    factor = 2,
+    maxDelay = 30000,
+    jitter = 0.2,
+    retryable = () => true,
+    onRetry = () => {},
+  } = {},
+) => {
+  const run = attempt =>
+    task(attempt).catch(error => {
+      if (attempt >= attempts || !retryable(error)) throw error
+      const backoff = Math.min(initialDelay * factor ** (attempt - 1), maxDelay)
+      const wait = Math.round(backoff * (1 + jitter * (2 * Math.random() - 1)))
+      onRetry(error, attempt + 1, wait)
+      return delay(wait).then(() => run(attempt + 1))
+    })
+  return run(1)
+}
+
 export function deprecateV3(...args) {
   console.warn(...args, 'It will break in v3.0.0.')
 }
@@ -1,4 +1,13 @@
-import { series } from './util'
+import { PassThrough } from 'stream'
+import {
+  series,
+  parallel,
+  chunk,
+  batches,
+  retry,
+  isReadable,
+  readStream,
+} from './util'
 
 describe('util', () => {
   describe('#series', () => {
@@ -21,4 +30,175 @@ describe('util', () => {
       }
     })
   })
+
+  describe('#parallel', () => {
+    it('should run tasks in parallel and keep order', async () => {
+      const results = await parallel([
+        () => new Promise(resolve => setTimeout(() => resolve('foo'), 10)),
+        async () => 'bar',
+      ])
+      expect(results).toEqual(['foo', 'bar'])
+    })
+
+    it('should limit concurrency', async () => {
+      let running = 0
+      let maxRunning = 0
+      const task = () => async () => {
+        running += 1
+        maxRunning = Math.max(maxRunning, running)
+        await new Promise(resolve => setTimeout(resolve, 5))
+        running -= 1
+      }
+      await parallel([task(), task(), task(), task(), task()], 2)
+      expect(maxRunning).toBe(2)
+    })
+
+    it('should not start new tasks after an error', async () => {
+      expect.assertions(2)
+      const last = jest.fn(async () => 'bar')
+      try {
+        await parallel(
+          [
+            async () => {
+              throw new Error('bad')
+            },
+            last,
+          ],
+          1,
+        )
+      } catch (error) {
+        expect(error.message).toBe('bad')
+      }
+      expect(last).not.toHaveBeenCalled()
+    })
+
+    it('should support empty tasks', async () => {
+      expect(await parallel([])).toEqual([])
+    })
+  })
+
+  describe('#chunk', () => {
+    it('should split items in chunks', () => {
+      expect(chunk([1, 2, 3, 4, 5], 2)).toEqual([[1, 2], [3, 4], [5]])
+    })
+  })
+
+  describe('#batches', () => {
+    it('should run batches one after the other', async () => {
+      const events = []
+      const task = name => async () => {
+        events.push(`start ${name}`)
+        await new Promise(resolve => setTimeout(resolve, 5))
+        events.push(`end ${name}`)
+        return name
+      }
+      const results = await batches([task('a'), task('b'), task('c')], 2)
+      expect(results).toEqual(['a', 'b', 'c'])
+      expect(events.indexOf('start c')).toBeGreaterThan(events.indexOf('end a'))
+      expect(events.indexOf('start c')).toBeGreaterThan(events.indexOf('end b'))
+    })
+
+    it('should stop at the first failing batch', async () => {
+      expect.assertions(2)
+      const last = jest.fn(async () => 'bar')
+      try {
+        await batches(
+          [
+            async () => {
+              throw new Error('bad')
+            },
+            last,
+          ],
+          1,
+        )
+      } catch (error) {
+        expect(error.message).toBe('bad')
+      }
+      expect(last).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('#isReadable', () => {
+    it('should tell if a value is a stream', () => {
+      expect(isReadable(new PassThrough())).toBe(true)
+      expect(isReadable('data')).toBe(false)
+      expect(isReadable(Buffer.from('data'))).toBe(false)
+      expect(isReadable(undefined)).toBe(false)
+    })
+  })
+
+  describe('#readStream', () => {
+    it('should read a stream in a Buffer', async () => {
+      const stream = new PassThrough()
+      stream.write('a')
+      stream.end('b')
+      expect(await readStream(stream)).toEqual(Buffer.from('ab'))
+    })
+  })
+
+  describe('#retry', () => {
+    it('should return result of task', async () => {
+      expect(await retry(async () => 'foo')).toBe('foo')
+    })
+
+    it('should retry task until it succeeds', async () => {
+      const onRetry = jest.fn()
+      const task = jest.fn(async attempt => {
+        if (attempt < 3) throw new Error(`bad ${attempt}`)
+        return 'foo'
+      })
+      const result = await retry(task, {
+        delay: 10,
+        factor: 2,
+        jitter: 0,
+        onRetry,
+      })
+      expect(result).toBe('foo')
+      expect(task).toHaveBeenCalledTimes(3)
+      expect(onRetry).toHaveBeenCalledWith(new Error('bad 1'), 2, 10)
+      expect(onRetry).toHaveBeenCalledWith(new Error('bad 2'), 3, 20)
+    })
+
+    it('should limit delay', async () => {
+      const onRetry = jest.fn()
+      const task = jest.fn(async attempt => {
+        if (attempt < 3) throw new Error('bad')
+        return 'foo'
+      })
+      await retry(task, {
+        delay: 5,
+        factor: 10,
+        maxDelay: 8,
+        jitter: 0,
+        onRetry,
+      })
+      expect(onRetry.mock.calls.map(([, , wait]) => wait)).toEqual([5, 8])
+    })
+
+    it('should stop after "attempts"', async () => {
+      expect.assertions(2)
+      const task = jest.fn(async attempt => {
+        throw new Error(`bad ${attempt}`)
+      })
+      try {
+        await retry(task, { attempts: 2, delay: 0 })
+      } catch (error) {
+        expect(error.message).toBe('bad 2')
+      }
+      expect(task).toHaveBeenCalledTimes(2)
+    })
+
+    it('should not retry errors that are not retryable', async () => {
+      expect.assertions(2)
+      const task = jest.fn(async () => {
+        throw new Error('bad')
+      })
+      try {
+        await retry(task, { delay: 0, retryable: () => false })
+      } catch (error) {
+        expect(error.message).toBe('bad')
+      }
+      expect(task).toHaveBeenCalledTimes(1)
+    })
+  })
 })